@@ -0,0 +1,101 @@
+const path = require('path');
+const { fork } = require('child_process');
+const { once } = require('events');
+
+const APP_ENTRY = path.join(__dirname, '..', 'todo-app', 'index.js');
+const READY_TIMEOUT_MILLIS = 30000;
+const STOP_TIMEOUT_MILLIS = 20000;
+
+// Settings the benchmark needs to compare the modes; anything else, such as the
+// batch processor or sampling variables, can still come from the environment
+const DEFAULT_ENV = {
+  indexName: 'todos',
+  LOG_LEVEL: 'warn',
+  OTEL_TRACES_SAMPLER: 'parentbased_always_on',
+  OTEL_NODE_RESOURCE_DETECTORS: 'none',
+  // The SDK defaults, as under the Elastic distribution; the small batches the manual
+  // and hybrid modes use for the tutorial fall behind under load and drop spans
+  OTEL_BSP_MAX_QUEUE_SIZE: '2048',
+  OTEL_BSP_MAX_EXPORT_BATCH_SIZE: '512',
+  OTEL_BSP_SCHEDULE_DELAY: '5000',
+  OTEL_BSP_EXPORT_TIMEOUT: '30000'
+};
+
+const sleep = (millis) => new Promise((resolve) => setTimeout(resolve, millis));
+
+/**
+ * Starts the todo app in its own process with one instrumentation mode, against the
+ * given Elasticsearch and OTLP endpoints, and waits until it is ready. The probe
+ * preloaded into it reports its CPU time and memory.
+ *
+ * @param {object} options
+ * @param {string} options.mode INSTRUMENTATION_MODE of the app
+ * @param {number} options.port
+ * @param {string} options.elasticsearchUrl
+ * @param {string} options.otlpUrl
+ * @returns {Promise<{
+ *   url: string,
+ *   usage: () => Promise<{ cpuMillis: number, rssBytes: number, heapUsedBytes: number }>,
+ *   stop: () => Promise<void>
+ * }>}
+ */
+const startAppProcess = async ({ mode, port, elasticsearchUrl, otlpUrl }) => {
+  const child = fork(APP_ENTRY, [], {
+    // A .env next to the benchmark can add settings; the app folders' own are not read
+    cwd: __dirname,
+    execArgv: ['--require', path.join(__dirname, 'probe.js')],
+    stdio: ['ignore', 'ignore', 'inherit', 'ipc'],
+    env: {
+      ...DEFAULT_ENV,
+      ...process.env,
+      INSTRUMENTATION_MODE: mode,
+      PORT: String(port),
+      STORAGE_BACKEND: 'elasticsearch',
+      ELASTICSEARCH_ENDPOINT: elasticsearchUrl,
+      ELASTICSEARCH_API_KEY: 'benchmark',
+      OTEL_EXPORTER_OTLP_ENDPOINT: otlpUrl
+    }
+  });
+
+  let exited = false;
+  const exit = once(child, 'exit').then(() => {
+    exited = true;
+  });
+
+  // Replies come back in the order the requests were sent
+  const waiting = [];
+  child.on('message', (message) => {
+    if (message.usage) waiting.shift()(message.usage);
+  });
+
+  const url = `http://127.0.0.1:${port}`;
+  const deadline = Date.now() + READY_TIMEOUT_MILLIS;
+  for (;;) {
+    if (exited) throw new Error(`The app exited before it was ready in ${mode} mode`);
+    const ready = await fetch(`${url}/readyz`).then((response) => response.ok, () => false);
+    if (ready) break;
+    if (Date.now() > deadline) {
+      child.kill('SIGKILL');
+      throw new Error(`The app did not become ready in ${mode} mode`);
+    }
+    await sleep(100);
+  }
+
+  return {
+    url,
+    usage: () => new Promise((resolve) => {
+      waiting.push(resolve);
+      child.send('usage');
+    }),
+    // SIGTERM runs the app's graceful shutdown, which flushes the exporters
+    stop: async () => {
+      if (exited) return;
+      const timer = setTimeout(() => child.kill('SIGKILL'), STOP_TIMEOUT_MILLIS);
+      child.kill('SIGTERM');
+      await exit;
+      clearTimeout(timer);
+    }
+  };
+};
+
+module.exports = { startAppProcess };
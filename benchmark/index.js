@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const { ConfigurationError } = require('../shared/config');
+const { startFakeElasticsearch } = require('../shared/testing/fake-elasticsearch');
+const { startReceiver } = require('./receiver');
+const { startAppProcess } = require('./app-process');
+const { createSender, runScenario } = require('./load');
+const { SCENARIOS, seedTodos } = require('./scenarios');
+const { renderReport } = require('./report');
+
+// The ports of the approach folders, with the baseline next to them
+const PORTS = { none: 8080, auto: 8081, manual: 8082, hybrid: 8083 };
+
+const parseList = (name, value, allowed) => {
+  const items = value.split(',').map((item) => item.trim().toLowerCase()).filter(Boolean);
+  const unknown = items.filter((item) => !allowed.includes(item));
+  if (items.length === 0 || unknown.length > 0) {
+    throw new ConfigurationError(`${name} must be a comma-separated list of: ${allowed.join(', ')}`);
+  }
+  return items;
+};
+
+const parseCount = (name, value, minimum) => {
+  const count = parseInt(value);
+  if (!Number.isInteger(count) || count < minimum) {
+    throw new ConfigurationError(`${name} must be an integer of at least ${minimum}, got "${value}"`);
+  }
+  return count;
+};
+
+const loadSettings = (env = process.env) => ({
+  modes: parseList('BENCH_MODES', env.BENCH_MODES || 'none,auto,manual,hybrid', Object.keys(PORTS)),
+  scenarios: parseList('BENCH_SCENARIOS', env.BENCH_SCENARIOS || SCENARIOS.map(({ name }) => name).join(','), SCENARIOS.map(({ name }) => name)),
+  requests: parseCount('BENCH_REQUESTS', env.BENCH_REQUESTS || '300', 1),
+  warmup: parseCount('BENCH_WARMUP', env.BENCH_WARMUP || '30', 0),
+  concurrency: parseCount('BENCH_CONCURRENCY', env.BENCH_CONCURRENCY || '8', 1),
+  outputDir: path.resolve(__dirname, env.BENCH_OUTPUT_DIR || 'results')
+});
+
+/**
+ * Runs every scenario against one mode, in a fresh app and Elasticsearch, and counts
+ * what the app exported once it has shut down and flushed.
+ */
+const benchmarkMode = async (mode, settings, receiver) => {
+  receiver.reset();
+  const elasticsearch = await startFakeElasticsearch();
+  const app = await startAppProcess({ mode, port: PORTS[mode], elasticsearchUrl: elasticsearch.url, otlpUrl: receiver.url });
+
+  const results = [];
+  try {
+    await seedTodos(createSender(app.url));
+    for (const scenario of SCENARIOS.filter(({ name }) => settings.scenarios.includes(name))) {
+      console.log(`⏱️  [BENCH] ${mode}: ${scenario.name}`);
+      results.push(await runScenario({ app, scenario, ...settings }));
+    }
+  } finally {
+    await app.stop();
+    await elasticsearch.stop();
+  }
+
+  return {
+    mode,
+    exportedBytes: receiver.exportedBytes(),
+    scenarios: results.map(({ traceIds, ...result }) => ({ ...result, exported: receiver.countTraces(traceIds) }))
+  };
+};
+
+const main = async () => {
+  const settings = loadSettings();
+  const receiver = await startReceiver();
+  console.log(`🚀 [BENCH] Modes: ${settings.modes.join(', ')}; scenarios: ${settings.scenarios.join(', ')}`);
+
+  const run = {
+    settings: {
+      ...settings,
+      startedAt: new Date().toISOString(),
+      node: process.version,
+      scenarios: Object.fromEntries(SCENARIOS.filter(({ name }) => settings.scenarios.includes(name)).map(({ name, description }) => [name, description]))
+    },
+    modes: []
+  };
+
+  try {
+    // One mode at a time, so the apps do not compete for the CPU
+    for (const mode of settings.modes) {
+      run.modes.push(await benchmarkMode(mode, settings, receiver));
+    }
+  } finally {
+    await receiver.stop();
+  }
+
+  const report = renderReport(run);
+  fs.mkdirSync(settings.outputDir, { recursive: true });
+  const name = `benchmark-${run.settings.startedAt.replace(/[:.]/g, '-')}`;
+  fs.writeFileSync(path.join(settings.outputDir, `${name}.json`), JSON.stringify(run, null, 2));
+  fs.writeFileSync(path.join(settings.outputDir, `${name}.md`), report);
+
+  console.log(`\n${report}`);
+  console.log(`📄 [BENCH] Report written to ${path.join(settings.outputDir, name)}.{md,json}`);
+};
+
+main().catch((error) => {
+  console.error(`❌ [BENCH] ${error.message}`);
+  process.exit(1);
+});
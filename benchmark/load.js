@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const { performance } = require('perf_hooks');
+const { summarizeLatencies } = require('./stats');
+
+const USAGE_SAMPLE_INTERVAL_MILLIS = 250;
+
+/**
+ * Returns a function that sends one request to the app and reads the whole response.
+ * With `traced`, the request is the child of a new sampled trace, so the spans the app
+ * exports for it can be counted by trace id.
+ */
+const createSender = (baseUrl) => async ({ method, path, body }, { traced = false } = {}) => {
+  const traceId = crypto.randomBytes(16).toString('hex');
+  const headers = body !== undefined ? { 'content-type': 'application/json' } : {};
+  if (traced) {
+    headers.traceparent = `00-${traceId}-${crypto.randomBytes(8).toString('hex')}-01`;
+  }
+
+  const started = performance.now();
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers,
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+  const text = await response.text();
+  const latency = performance.now() - started;
+
+  let parsed = text;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    // Not JSON, e.g. the homepage
+  }
+  return { status: response.status, body: parsed, latency, traceId };
+};
+
+/**
+ * Sends `count` requests from `concurrency` workers, each sending its next request
+ * as soon as the previous one is answered.
+ */
+const sendAll = async (send, { scenario, prepared, from, count, concurrency }) => {
+  const results = [];
+  let next = from;
+  const worker = async () => {
+    while (next < from + count) {
+      const index = next;
+      next += 1;
+      results.push(await send(scenario.request(index, prepared), { traced: true }));
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, count) }, worker));
+  return results;
+};
+
+/**
+ * Runs one scenario against a started app: its preparation and warm-up requests
+ * first, then the timed requests, while the app's CPU time and memory are sampled.
+ *
+ * @param {object} options
+ * @param {Awaited<ReturnType<import('./app-process').startAppProcess>>} options.app
+ * @param {import('./scenarios').SCENARIOS[number]} options.scenario
+ * @param {number} options.requests
+ * @param {number} options.warmup
+ * @param {number} options.concurrency
+ */
+const runScenario = async ({ app, scenario, requests, warmup, concurrency }) => {
+  const send = createSender(app.url);
+  const prepared = scenario.prepare ? await scenario.prepare(send, warmup + requests) : undefined;
+  await sendAll(send, { scenario, prepared, from: 0, count: warmup, concurrency });
+
+  const before = await app.usage();
+  let peakRssBytes = before.rssBytes;
+  const sampler = setInterval(() => {
+    app.usage().then((usage) => {
+      peakRssBytes = Math.max(peakRssBytes, usage.rssBytes);
+    });
+  }, USAGE_SAMPLE_INTERVAL_MILLIS);
+
+  const started = performance.now();
+  const results = await sendAll(send, { scenario, prepared, from: warmup, count: requests, concurrency });
+  const elapsedMillis = performance.now() - started;
+
+  clearInterval(sampler);
+  const after = await app.usage();
+  peakRssBytes = Math.max(peakRssBytes, after.rssBytes);
+
+  return {
+    scenario: scenario.name,
+    requests,
+    unexpectedStatuses: results.filter((result) => result.status !== scenario.expectedStatus).length,
+    throughput: requests / (elapsedMillis / 1000),
+    latency: summarizeLatencies(results.map((result) => result.latency)),
+    cpuMillisPerRequest: (after.cpuMillis - before.cpuMillis) / requests,
+    cpuPercent: ((after.cpuMillis - before.cpuMillis) / elapsedMillis) * 100,
+    peakRssBytes,
+    heapUsedBytes: after.heapUsedBytes,
+    traceIds: results.map((result) => result.traceId)
+  };
+};
+
+module.exports = { createSender, runScenario };
@@ -0,0 +1,17 @@
+// Preloaded into the app with --require, so the benchmark can read the app's own CPU
+// time and memory over the IPC channel. It loads nothing the instrumentations patch.
+process.on('message', (message) => {
+  if (message !== 'usage') return;
+  const cpu = process.cpuUsage();
+  const memory = process.memoryUsage();
+  process.send({
+    usage: {
+      cpuMillis: (cpu.user + cpu.system) / 1000,
+      rssBytes: memory.rss,
+      heapUsedBytes: memory.heapUsed
+    }
+  });
+});
+
+// Shuts the app down gracefully when the benchmark goes away without stopping it
+process.on('disconnect', () => process.kill(process.pid, 'SIGTERM'));
@@ -0,0 +1,79 @@
+const http = require('http');
+const { decodeTraces } = require('../local-collector/otlp');
+
+/**
+ * An OTLP/HTTP receiver that only counts what the app exports: the spans, span
+ * attributes and events of each trace, and the bytes of every trace export. Metric
+ * and log exports are accepted and dropped, so the app's exporters behave as they
+ * would against a real collector.
+ *
+ * @returns {Promise<{
+ *   url: string,
+ *   countTraces: (traceIds: string[]) => { spans: number, attributes: number, events: number },
+ *   exportedBytes: () => number,
+ *   reset: () => void,
+ *   stop: () => Promise<void>
+ * }>}
+ */
+const startReceiver = () => new Promise((resolve, reject) => {
+  let traces = new Map();
+  let bytes = 0;
+
+  const record = (spans) => spans.forEach((span) => {
+    const counts = traces.get(span.traceId) || { spans: 0, attributes: 0, events: 0 };
+    counts.spans += 1;
+    counts.attributes += Object.keys(span.attributes).length;
+    counts.events += span.events.length;
+    traces.set(span.traceId, counts);
+  });
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const contentType = req.headers['content-type'] || '';
+      if (req.method === 'POST' && req.url === '/v1/traces') {
+        bytes += body.length;
+        try {
+          record(decodeTraces(contentType.includes('json') ? JSON.parse(body) : body, contentType));
+        } catch (error) {
+          console.log(`❌ [BENCH] Could not decode a trace export: ${error.message}`);
+          res.writeHead(400).end();
+          return;
+        }
+      }
+      // An empty Export*ServiceResponse in the encoding of the request
+      if (contentType.includes('json')) {
+        res.writeHead(200, { 'content-type': 'application/json' }).end('{}');
+      } else {
+        res.writeHead(200, { 'content-type': 'application/x-protobuf' }).end();
+      }
+    });
+  });
+
+  server.once('error', reject);
+  server.listen(0, '127.0.0.1', () => resolve({
+    url: `http://127.0.0.1:${server.address().port}`,
+    countTraces: (traceIds) => traceIds.reduce((total, traceId) => {
+      const counts = traces.get(traceId);
+      if (counts) {
+        total.spans += counts.spans;
+        total.attributes += counts.attributes;
+        total.events += counts.events;
+      }
+      return total;
+    }, { spans: 0, attributes: 0, events: 0 }),
+    exportedBytes: () => bytes,
+    reset: () => {
+      traces = new Map();
+      bytes = 0;
+    },
+    stop: () => new Promise((resolveStop) => {
+      server.closeAllConnections();
+      server.close(() => resolveStop());
+    })
+  }));
+});
+
+module.exports = { startReceiver };
@@ -0,0 +1,89 @@
+const { formatOverhead } = require('./stats');
+
+const BASELINE_MODE = 'none';
+
+const ms = (value) => value.toFixed(1);
+const mb = (bytes) => (bytes / 1024 / 1024).toFixed(1);
+const perRequest = (total, requests) => (requests ? total / requests : 0).toFixed(1);
+
+const table = (header, rows) => [
+  `| ${header.join(' | ')} |`,
+  `|${header.map(() => '---').join('|')}|`,
+  ...rows.map((row) => `| ${row.join(' | ')} |`)
+].join('\n');
+
+/**
+ * Renders the results of a benchmark run as Markdown: one table per scenario with
+ * every mode, then the overhead of each instrumented mode against `none`.
+ *
+ * @param {object} run
+ * @param {object} run.settings
+ * @param {Array<{ mode: string, exportedBytes: number, scenarios: object[] }>} run.modes
+ */
+const renderReport = ({ settings, modes }) => {
+  const lines = [
+    '# Instrumentation overhead',
+    '',
+    `${settings.startedAt}, Node.js ${settings.node}, ${settings.requests} requests per scenario after ${settings.warmup} warm-up requests, ${settings.concurrency} concurrent.`,
+    'CPU and memory are those of the app process alone. Spans, attributes and events are what the app exported for the timed requests.',
+    ''
+  ];
+
+  const scenarioNames = modes[0] ? modes[0].scenarios.map((result) => result.scenario) : [];
+  scenarioNames.forEach((name) => {
+    lines.push(`## ${name}`, '', settings.scenarios[name], '');
+    lines.push(table(
+      ['Mode', 'req/s', 'p50 ms', 'p90 ms', 'p99 ms', 'max ms', 'CPU ms/req', 'CPU %', 'Peak RSS MB', 'Spans/req', 'Attributes/req', 'Events/req', 'Unexpected'],
+      modes.map(({ mode, scenarios }) => {
+        const result = scenarios.find((candidate) => candidate.scenario === name);
+        return [
+          mode,
+          result.throughput.toFixed(0),
+          ms(result.latency.p50),
+          ms(result.latency.p90),
+          ms(result.latency.p99),
+          ms(result.latency.max),
+          result.cpuMillisPerRequest.toFixed(2),
+          result.cpuPercent.toFixed(0),
+          mb(result.peakRssBytes),
+          perRequest(result.exported.spans, result.requests),
+          perRequest(result.exported.attributes, result.requests),
+          perRequest(result.exported.events, result.requests),
+          String(result.unexpectedStatuses)
+        ];
+      })
+    ), '');
+  });
+
+  const baseline = modes.find(({ mode }) => mode === BASELINE_MODE);
+  if (baseline) {
+    lines.push(`## Overhead against ${BASELINE_MODE}`, '');
+    const rows = [];
+    modes.filter(({ mode }) => mode !== BASELINE_MODE).forEach(({ mode, scenarios }) => {
+      scenarios.forEach((result) => {
+        const base = baseline.scenarios.find((candidate) => candidate.scenario === result.scenario);
+        rows.push([
+          mode,
+          result.scenario,
+          formatOverhead(result.latency.p50, base.latency.p50),
+          formatOverhead(result.latency.p99, base.latency.p99),
+          formatOverhead(base.throughput, result.throughput),
+          formatOverhead(result.cpuMillisPerRequest, base.cpuMillisPerRequest),
+          formatOverhead(result.peakRssBytes, base.peakRssBytes)
+        ]);
+      });
+    });
+    lines.push(table(['Mode', 'Scenario', 'p50', 'p99', 'Time per request', 'CPU per request', 'Peak RSS'], rows), '');
+  }
+
+  lines.push('## Trace exports', '');
+  lines.push(table(
+    ['Mode', 'Exported MB'],
+    modes.map(({ mode, exportedBytes }) => [mode, mb(exportedBytes)])
+  ), '');
+  lines.push('Exported MB is every trace export of the mode, including those for the seeding, preparation and warm-up requests.', '');
+
+  return lines.join('\n');
+};
+
+module.exports = { renderReport };
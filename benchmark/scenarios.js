@@ -0,0 +1,68 @@
+const SEED_TODOS = 25;
+
+/**
+ * The repeatable operations the benchmark sends, the same for every mode. `prepare`
+ * runs before the timed requests, with the number of requests that will be sent, and
+ * what it returns is handed to `request`.
+ *
+ * @type {Array<{
+ *   name: string,
+ *   description: string,
+ *   expectedStatus: number,
+ *   prepare?: (send: Function, count: number) => Promise<any>,
+ *   request: (index: number, prepared: any) => { method: string, path: string, body?: object }
+ * }>}
+ */
+const SCENARIOS = [
+  {
+    name: 'list',
+    description: `GET /get_todos, the first page of ${SEED_TODOS} seeded todos`,
+    expectedStatus: 200,
+    request: () => ({ method: 'GET', path: '/get_todos' })
+  },
+  {
+    name: 'add',
+    description: 'POST /add_item with a title and a description',
+    expectedStatus: 200,
+    request: (index) => ({
+      method: 'POST',
+      path: '/add_item',
+      body: { title: `Benchmark todo ${index}`, description: 'Added by the benchmark' }
+    })
+  },
+  {
+    name: 'delete',
+    description: 'DELETE /delete/:id of a todo added beforehand',
+    expectedStatus: 200,
+    prepare: async (send, count) => {
+      const ids = [];
+      for (let index = 0; index < count; index += 1) {
+        const { body } = await send({ method: 'POST', path: '/add_item', body: { title: `Delete me ${index}` } });
+        ids.push(body.new_todo_id);
+      }
+      return ids;
+    },
+    request: (index, ids) => ({ method: 'DELETE', path: `/delete/${ids[index]}` })
+  },
+  {
+    name: 'invalid',
+    description: 'POST /add_item without a title, answered with 400',
+    expectedStatus: 400,
+    request: () => ({ method: 'POST', path: '/add_item', body: { title: '' } })
+  },
+  {
+    name: 'missing',
+    description: 'DELETE /delete/:id of a todo that does not exist, answered with 404',
+    expectedStatus: 404,
+    request: (index) => ({ method: 'DELETE', path: `/delete/missing-${index}` })
+  }
+];
+
+// Todos every mode starts with, so listing returns the same page everywhere
+const seedTodos = async (send) => {
+  for (let index = 0; index < SEED_TODOS; index += 1) {
+    await send({ method: 'POST', path: '/add_item', body: { title: `Seeded todo ${index}` } });
+  }
+};
+
+module.exports = { SCENARIOS, seedTodos };
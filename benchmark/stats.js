@@ -0,0 +1,41 @@
+/**
+ * The value below which `fraction` of the sorted values fall, by the nearest-rank method.
+ *
+ * @param {number[]} sorted ascending
+ * @param {number} fraction between 0 and 1
+ */
+const percentile = (sorted, fraction) => {
+  if (sorted.length === 0) return 0;
+  const rank = Math.ceil(fraction * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(rank, 1)) - 1];
+};
+
+/**
+ * Summarizes request latencies in milliseconds.
+ *
+ * @param {number[]} latencies
+ * @returns {{ mean: number, p50: number, p90: number, p99: number, max: number }}
+ */
+const summarizeLatencies = (latencies) => {
+  const sorted = [...latencies].sort((a, b) => a - b);
+  const total = sorted.reduce((sum, latency) => sum + latency, 0);
+  return {
+    mean: sorted.length ? total / sorted.length : 0,
+    p50: percentile(sorted, 0.5),
+    p90: percentile(sorted, 0.9),
+    p99: percentile(sorted, 0.99),
+    max: sorted.length ? sorted[sorted.length - 1] : 0
+  };
+};
+
+/**
+ * How much larger `value` is than `baseline`, e.g. `+12%`, or an empty string when
+ * there is nothing to compare against.
+ */
+const formatOverhead = (value, baseline) => {
+  if (!baseline) return '';
+  const change = ((value - baseline) / baseline) * 100;
+  return `${change >= 0 ? '+' : ''}${change.toFixed(0)}%`;
+};
+
+module.exports = { percentile, summarizeLatencies, formatOverhead };
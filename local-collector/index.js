@@ -0,0 +1,93 @@
+const express = require('express');
+const path = require('path');
+const { decodeTraces, decodeMetrics, decodeLogs } = require('./otlp');
+const { TelemetryStore } = require('./store');
+
+const PORT = parseInt(process.env.PORT || '4318');
+const MAX_TRACES = parseInt(process.env.MAX_TRACES || '500');
+
+const store = new TelemetryStore({ maxTraces: MAX_TRACES });
+
+const app = express();
+app.use('/v1', express.json({ limit: '10mb' }));
+app.use('/v1', express.raw({ type: 'application/x-protobuf', limit: '10mb' }));
+app.use('/static', express.static(path.join(__dirname, 'static')));
+
+// Answers an export request in the encoding it arrived in. An empty
+// Export*ServiceResponse is a zero-length protobuf message or `{}` in JSON.
+const sendExportResponse = (req, res) => {
+  if (req.is('application/x-protobuf')) {
+    res.type('application/x-protobuf').send(Buffer.alloc(0));
+  } else {
+    res.json({});
+  }
+};
+
+const receive = (decode, onDecoded) => (req, res) => {
+  if (!req.is('application/json') && !req.is('application/x-protobuf')) {
+    return res.status(415).json({ message: 'Content-Type must be application/json or application/x-protobuf' });
+  }
+
+  let decoded;
+  try {
+    decoded = decode(req.body, req.get('Content-Type'));
+  } catch (error) {
+    console.log(`❌ [COLLECTOR] Could not decode ${req.path}: ${error.message}`);
+    return res.status(400).json({ message: error.message });
+  }
+
+  onDecoded(decoded);
+  sendExportResponse(req, res);
+};
+
+app.post('/v1/traces', receive(decodeTraces, (spans) => {
+  store.addSpans(spans);
+  console.log(`📥 [COLLECTOR] Received ${spans.length} spans`);
+}));
+
+app.post('/v1/metrics', receive(decodeMetrics, (points) => {
+  store.addMetricPoints(points);
+  console.log(`📥 [COLLECTOR] Received ${points.length} metric data points`);
+}));
+
+app.post('/v1/logs', receive(decodeLogs, (records) => {
+  store.addLogRecords(records);
+  console.log(`📥 [COLLECTOR] Received ${records.length} log records`);
+}));
+
+app.get('/api/traces', (req, res) => {
+  res.json({ traces: store.listTraces() });
+});
+
+app.get('/api/traces/:traceId', (req, res) => {
+  const spans = store.getTrace(req.params.traceId);
+  if (!spans) {
+    return res.status(404).json({ message: `Trace ${req.params.traceId} not found` });
+  }
+  res.json({ traceId: req.params.traceId, spans, logs: store.listLogs({ traceId: req.params.traceId }) });
+});
+
+app.delete('/api/traces', (req, res) => {
+  store.clear();
+  res.status(204).end();
+});
+
+app.get('/api/metrics', (req, res) => {
+  res.json({ metrics: store.listMetrics() });
+});
+
+app.get('/api/logs', (req, res) => {
+  res.json({ logs: store.listLogs({ traceId: req.query.traceId }) });
+});
+
+app.get('/', (req, res) => {
+  res.sendFile('index.html', { root: path.join(__dirname, 'static') });
+});
+
+app.listen(PORT, () => {
+  console.log(`Local collector listening on http://localhost:${PORT}`);
+  console.log(`   Traces endpoint: http://localhost:${PORT}/v1/traces`);
+  console.log(`   Metrics endpoint: http://localhost:${PORT}/v1/metrics`);
+  console.log(`   Logs endpoint: http://localhost:${PORT}/v1/logs`);
+  console.log(`   Span viewer: http://localhost:${PORT}/`);
+});
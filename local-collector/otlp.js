@@ -0,0 +1,168 @@
+const path = require('path');
+const protobuf = require('protobufjs');
+
+const root = protobuf.loadSync(path.join(__dirname, 'proto', 'otlp.proto'));
+const ExportTraceServiceRequest = root.lookupType('opentelemetry.proto.ExportTraceServiceRequest');
+const ExportMetricsServiceRequest = root.lookupType('opentelemetry.proto.ExportMetricsServiceRequest');
+const ExportLogsServiceRequest = root.lookupType('opentelemetry.proto.ExportLogsServiceRequest');
+
+const SPAN_KINDS = ['UNSPECIFIED', 'INTERNAL', 'SERVER', 'CLIENT', 'PRODUCER', 'CONSUMER'];
+const STATUS_CODES = ['UNSET', 'OK', 'ERROR'];
+
+// Protobuf ids arrive as bytes, OTLP/JSON ids as hex strings
+const toHex = (id) => {
+  if (!id) return '';
+  return typeof id === 'string' ? id.toLowerCase() : Buffer.from(id).toString('hex');
+};
+
+// Nanosecond timestamps arrive as strings (int64 in JSON and `longs: String` in protobuf),
+// though some JSON encoders send plain numbers
+const toMillis = (nanos) => {
+  if (!nanos) return 0;
+  return typeof nanos === 'number' ? nanos / 1e6 : Number(BigInt(nanos)) / 1e6;
+};
+
+const toValue = (anyValue) => {
+  if (!anyValue) return null;
+  if (anyValue.stringValue !== undefined) return anyValue.stringValue;
+  if (anyValue.boolValue !== undefined) return anyValue.boolValue;
+  if (anyValue.intValue !== undefined) return Number(anyValue.intValue);
+  if (anyValue.doubleValue !== undefined) return Number(anyValue.doubleValue);
+  if (anyValue.arrayValue) return (anyValue.arrayValue.values || []).map(toValue);
+  if (anyValue.kvlistValue) return toAttributes(anyValue.kvlistValue.values);
+  if (anyValue.bytesValue !== undefined) return toHex(anyValue.bytesValue);
+  return null;
+};
+
+const toAttributes = (keyValues) => {
+  const attributes = {};
+  (keyValues || []).forEach(({ key, value }) => {
+    attributes[key] = toValue(value);
+  });
+  return attributes;
+};
+
+/**
+ * Parses an export request body into a plain object with OTLP/JSON field names,
+ * whichever encoding it was sent with.
+ */
+const decodeRequest = (type, body, contentType) => {
+  if (contentType && contentType.includes('application/x-protobuf')) {
+    const message = type.decode(body);
+    return type.toObject(message, { longs: String, enums: Number, defaults: false });
+  }
+  return body;
+};
+
+/**
+ * Flattens an ExportTraceServiceRequest into one record per span, with the
+ * resource and scope copied onto each span.
+ */
+const decodeTraces = (body, contentType) => {
+  const request = decodeRequest(ExportTraceServiceRequest, body, contentType);
+  const spans = [];
+
+  (request.resourceSpans || []).forEach((resourceSpans) => {
+    const resource = toAttributes(resourceSpans.resource && resourceSpans.resource.attributes);
+
+    (resourceSpans.scopeSpans || []).forEach((scopeSpans) => {
+      const scope = scopeSpans.scope || {};
+
+      (scopeSpans.spans || []).forEach((span) => {
+        const status = span.status || {};
+        spans.push({
+          traceId: toHex(span.traceId),
+          spanId: toHex(span.spanId),
+          parentSpanId: toHex(span.parentSpanId),
+          name: span.name,
+          kind: SPAN_KINDS[span.kind || 0],
+          startTime: toMillis(span.startTimeUnixNano),
+          endTime: toMillis(span.endTimeUnixNano),
+          attributes: toAttributes(span.attributes),
+          events: (span.events || []).map((event) => ({
+            name: event.name,
+            time: toMillis(event.timeUnixNano),
+            attributes: toAttributes(event.attributes)
+          })),
+          status: { code: STATUS_CODES[status.code || 0], message: status.message || '' },
+          resource,
+          scope: { name: scope.name || '', version: scope.version || '' }
+        });
+      });
+    });
+  });
+
+  return spans;
+};
+
+const METRIC_TYPES = ['gauge', 'sum', 'histogram', 'exponentialHistogram', 'summary'];
+
+/**
+ * Flattens an ExportMetricsServiceRequest into one record per metric and data point.
+ */
+const decodeMetrics = (body, contentType) => {
+  const request = decodeRequest(ExportMetricsServiceRequest, body, contentType);
+  const points = [];
+
+  (request.resourceMetrics || []).forEach((resourceMetrics) => {
+    const resource = toAttributes(resourceMetrics.resource && resourceMetrics.resource.attributes);
+
+    (resourceMetrics.scopeMetrics || []).forEach((scopeMetrics) => {
+      (scopeMetrics.metrics || []).forEach((metric) => {
+        const type = METRIC_TYPES.find((candidate) => metric[candidate]);
+        if (!type) return;
+
+        (metric[type].dataPoints || []).forEach((point) => {
+          const value = point.asDouble !== undefined ? Number(point.asDouble)
+            : point.asInt !== undefined ? Number(point.asInt)
+              : undefined;
+          points.push({
+            name: metric.name,
+            description: metric.description || '',
+            unit: metric.unit || '',
+            type,
+            time: toMillis(point.timeUnixNano),
+            attributes: toAttributes(point.attributes),
+            value,
+            count: point.count !== undefined ? Number(point.count) : undefined,
+            sum: point.sum !== undefined ? Number(point.sum) : undefined,
+            resource
+          });
+        });
+      });
+    });
+  });
+
+  return points;
+};
+
+/**
+ * Flattens an ExportLogsServiceRequest into one record per log record. Records
+ * written inside a span carry its traceId and spanId.
+ */
+const decodeLogs = (body, contentType) => {
+  const request = decodeRequest(ExportLogsServiceRequest, body, contentType);
+  const records = [];
+
+  (request.resourceLogs || []).forEach((resourceLogs) => {
+    const resource = toAttributes(resourceLogs.resource && resourceLogs.resource.attributes);
+
+    (resourceLogs.scopeLogs || []).forEach((scopeLogs) => {
+      (scopeLogs.logRecords || []).forEach((record) => {
+        records.push({
+          traceId: toHex(record.traceId),
+          spanId: toHex(record.spanId),
+          time: toMillis(record.timeUnixNano || record.observedTimeUnixNano),
+          severity: record.severityText || String(record.severityNumber || ''),
+          body: toValue(record.body),
+          attributes: toAttributes(record.attributes),
+          resource
+        });
+      });
+    });
+  });
+
+  return records;
+};
+
+module.exports = { decodeTraces, decodeMetrics, decodeLogs };
@@ -0,0 +1,193 @@
+const tracesListDiv = document.querySelector('div[name="traces-list"]');
+const tracesList = document.querySelector('ul');
+const traceDetailDiv = document.querySelector('div[name="trace-detail"]');
+const traceTitle = document.querySelector('h1[name="trace-title"]');
+const waterfall = document.querySelector('div[name="waterfall"]');
+const spanDetail = document.querySelector('pre[name="span-detail"]');
+const logsList = document.querySelector('ul[name="logs"]');
+
+const KIND_COLORS = {
+  SERVER: '#3b82f6',
+  CLIENT: '#8b5cf6',
+  INTERNAL: '#10b981',
+  PRODUCER: '#f59e0b',
+  CONSUMER: '#f59e0b',
+  UNSPECIFIED: '#9ca3af'
+};
+const ERROR_COLOR = '#ef4444';
+
+const formatDuration = (ms) => (ms >= 1000 ? `${(ms / 1000).toFixed(2)} s` : `${ms.toFixed(2)} ms`);
+
+function loadTraces() {
+  fetch('/api/traces')
+    .then(response => response.json())
+    .then(data => {
+      tracesList.innerHTML = '';
+      if (data.traces.length === 0) {
+        const li = document.createElement('li');
+        li.setAttribute('class', 'bg-white p-4 rounded shadow');
+        li.textContent = 'No traces received yet. Point OTEL_EXPORTER_OTLP_ENDPOINT at this collector and use the app.';
+        tracesList.appendChild(li);
+      }
+      data.traces.forEach(renderTraceRow);
+    })
+    .catch(error => {
+      console.error(error);
+    });
+}
+
+function renderTraceRow(summary) {
+  const li = document.createElement('li');
+  li.setAttribute('class', 'bg-white p-4 rounded shadow flex justify-between items-center');
+  li.style.cursor = 'pointer';
+
+  const name = document.createElement('div');
+  const title = document.createElement('span');
+  title.setAttribute('class', 'font-semibold');
+  title.textContent = summary.rootName;
+  name.appendChild(title);
+  name.appendChild(document.createTextNode(` - ${summary.serviceName} - ${summary.traceId}`));
+
+  const stats = document.createElement('div');
+  stats.setAttribute('class', 'text-sm text-gray-700');
+  stats.textContent = `${summary.spanCount} spans · ${formatDuration(summary.duration)} · ${new Date(summary.startTime).toLocaleTimeString()}`;
+  if (summary.errorCount > 0) {
+    stats.textContent += ` · ${summary.errorCount} errors`;
+    stats.style.color = ERROR_COLOR;
+  }
+
+  li.appendChild(name);
+  li.appendChild(stats);
+  li.addEventListener('click', () => showTrace(summary.traceId));
+  tracesList.appendChild(li);
+}
+
+// Orders spans depth-first so every child is listed right under its parent.
+// Spans whose parent was never received are shown as roots.
+function toTree(spans) {
+  const byId = new Map(spans.map(span => [span.spanId, span]));
+  const children = new Map();
+  const roots = [];
+
+  spans.forEach(span => {
+    if (span.parentSpanId && byId.has(span.parentSpanId)) {
+      if (!children.has(span.parentSpanId)) children.set(span.parentSpanId, []);
+      children.get(span.parentSpanId).push(span);
+    } else {
+      roots.push(span);
+    }
+  });
+
+  const rows = [];
+  const visit = (span, depth) => {
+    rows.push({ span, depth });
+    (children.get(span.spanId) || []).forEach(child => visit(child, depth + 1));
+  };
+  roots.forEach(root => visit(root, 0));
+  return rows;
+}
+
+function showTrace(traceId) {
+  fetch(`/api/traces/${traceId}`)
+    .then(response => response.json())
+    .then(data => {
+      tracesListDiv.style.display = 'none';
+      traceDetailDiv.style.display = 'block';
+      spanDetail.style.display = 'none';
+      traceTitle.textContent = `Trace ${traceId}`;
+      renderWaterfall(data.spans);
+      renderLogs(data.logs, data.spans);
+    })
+    .catch(error => {
+      console.error(error);
+    });
+}
+
+function renderWaterfall(spans) {
+  const traceStart = Math.min(...spans.map(span => span.startTime));
+  const traceEnd = Math.max(...spans.map(span => span.endTime));
+  const total = Math.max(traceEnd - traceStart, 0.001);
+
+  waterfall.innerHTML = '';
+  toTree(spans).forEach(({ span, depth }) => {
+    const duration = span.endTime - span.startTime;
+    const row = document.createElement('div');
+    row.setAttribute('class', 'flex items-center text-sm');
+    row.style.cursor = 'pointer';
+    row.style.padding = '2px 0';
+
+    const label = document.createElement('div');
+    label.style.width = '40%';
+    label.style.paddingLeft = `${depth * 16}px`;
+    label.style.overflow = 'hidden';
+    label.style.whiteSpace = 'nowrap';
+    label.style.textOverflow = 'ellipsis';
+    label.textContent = `${span.name} (${span.kind.toLowerCase()})`;
+    label.title = `${span.resource['service.name'] || 'unknown'} · ${span.scope.name}`;
+
+    const track = document.createElement('div');
+    track.style.width = '60%';
+    track.style.position = 'relative';
+    track.style.height = '18px';
+
+    const bar = document.createElement('div');
+    bar.style.position = 'absolute';
+    bar.style.left = `${((span.startTime - traceStart) / total) * 100}%`;
+    bar.style.width = `${Math.max((duration / total) * 100, 0.5)}%`;
+    bar.style.height = '100%';
+    bar.style.borderRadius = '3px';
+    bar.style.background = span.status.code === 'ERROR' ? ERROR_COLOR : KIND_COLORS[span.kind];
+    bar.title = formatDuration(duration);
+
+    track.appendChild(bar);
+    row.appendChild(label);
+    row.appendChild(track);
+    row.addEventListener('click', () => {
+      spanDetail.style.display = 'block';
+      spanDetail.textContent = JSON.stringify(span, null, 2);
+    });
+    waterfall.appendChild(row);
+  });
+}
+
+// Oldest first, each line naming the span it was written in
+function renderLogs(logs, spans) {
+  const spanNames = new Map(spans.map(span => [span.spanId, span.name]));
+  logsList.innerHTML = '';
+  if (logs.length === 0) {
+    const li = document.createElement('li');
+    li.textContent = 'No log records for this trace. Set OTEL_LOGS_EXPORTER=otlp in the app to send them.';
+    logsList.appendChild(li);
+  }
+  [...logs].reverse().forEach(record => {
+    const li = document.createElement('li');
+    li.style.cursor = 'pointer';
+    li.textContent = `${new Date(record.time).toLocaleTimeString()} ${record.severity} ${record.body} (${spanNames.get(record.spanId) || record.spanId})`;
+    if (['ERROR', 'FATAL'].includes(record.severity)) {
+      li.style.color = ERROR_COLOR;
+    }
+    li.addEventListener('click', () => {
+      spanDetail.style.display = 'block';
+      spanDetail.textContent = JSON.stringify(record, null, 2);
+    });
+    logsList.appendChild(li);
+  });
+}
+
+document.querySelector('button[name="refresh"]').addEventListener('click', loadTraces);
+
+document.querySelector('button[name="clear"]').addEventListener('click', () => {
+  fetch('/api/traces', { method: 'DELETE' })
+    .then(loadTraces)
+    .catch(error => {
+      console.error(error);
+    });
+});
+
+document.querySelector('button[name="back"]').addEventListener('click', () => {
+  traceDetailDiv.style.display = 'none';
+  tracesListDiv.style.display = 'block';
+  loadTraces();
+});
+
+loadTraces();
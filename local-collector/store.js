@@ -0,0 +1,88 @@
+/**
+ * Keeps the most recent traces, metric points and log records in memory. The oldest
+ * trace is evicted once `maxTraces` is reached, so a long-running demo does not grow forever.
+ */
+class TelemetryStore {
+  constructor({ maxTraces = 500, maxMetricPoints = 5000, maxLogRecords = 5000 } = {}) {
+    this.maxTraces = maxTraces;
+    this.maxMetricPoints = maxMetricPoints;
+    this.maxLogRecords = maxLogRecords;
+    this.traces = new Map();
+    this.metricPoints = [];
+    this.logRecords = [];
+  }
+
+  addSpans(spans) {
+    spans.forEach((span) => {
+      if (!this.traces.has(span.traceId)) {
+        this.traces.set(span.traceId, []);
+        if (this.traces.size > this.maxTraces) {
+          this.traces.delete(this.traces.keys().next().value);
+        }
+      }
+      this.traces.get(span.traceId).push(span);
+    });
+  }
+
+  addMetricPoints(points) {
+    this.metricPoints.push(...points);
+    if (this.metricPoints.length > this.maxMetricPoints) {
+      this.metricPoints.splice(0, this.metricPoints.length - this.maxMetricPoints);
+    }
+  }
+
+  addLogRecords(records) {
+    this.logRecords.push(...records);
+    if (this.logRecords.length > this.maxLogRecords) {
+      this.logRecords.splice(0, this.logRecords.length - this.maxLogRecords);
+    }
+  }
+
+  // Newest first, optionally only the records written inside one trace
+  listLogs({ traceId } = {}) {
+    return this.logRecords
+      .filter((record) => !traceId || record.traceId === traceId)
+      .sort((a, b) => b.time - a.time);
+  }
+
+  // One row per trace for the trace list, newest first
+  listTraces() {
+    return [...this.traces.entries()].map(([traceId, spans]) => {
+      const spanIds = new Set(spans.map((span) => span.spanId));
+      const root = spans.find((span) => !span.parentSpanId || !spanIds.has(span.parentSpanId)) || spans[0];
+      const startTime = Math.min(...spans.map((span) => span.startTime));
+      const endTime = Math.max(...spans.map((span) => span.endTime));
+      return {
+        traceId,
+        rootName: root.name,
+        serviceName: root.resource['service.name'] || 'unknown',
+        spanCount: spans.length,
+        errorCount: spans.filter((span) => span.status.code === 'ERROR').length,
+        startTime,
+        duration: endTime - startTime
+      };
+    }).sort((a, b) => b.startTime - a.startTime);
+  }
+
+  getTrace(traceId) {
+    const spans = this.traces.get(traceId);
+    return spans ? [...spans].sort((a, b) => a.startTime - b.startTime) : null;
+  }
+
+  // Latest point per metric name and attribute set
+  listMetrics() {
+    const latest = new Map();
+    this.metricPoints.forEach((point) => {
+      latest.set(`${point.name} ${JSON.stringify(point.attributes)}`, point);
+    });
+    return [...latest.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  clear() {
+    this.traces.clear();
+    this.metricPoints = [];
+    this.logRecords = [];
+  }
+}
+
+module.exports = { TelemetryStore };
@@ -1,11 +0,0 @@
-/** @type {import('tailwindcss').Config} */
-module.exports = {
-  content: [
-    './public/*.ejs',
-  ],
-  theme: {
-    extend: {},
-  },
-  plugins: [],
-};
-
@@ -0,0 +1,91 @@
+const { context, propagation, trace, defaultTextMapGetter } = require('@opentelemetry/api');
+const { W3CBaggagePropagator } = require('@opentelemetry/core');
+
+// Headers a caller without OpenTelemetry can send instead of a `baggage` entry
+const BAGGAGE_HEADERS = {
+  'tenant.id': 'x-tenant-id',
+  'user.id': 'x-user-id',
+  'client.app': 'x-client-app'
+};
+
+// Parses the `baggage` header itself, so it is read even where the registered
+// propagator leaves it out
+const baggagePropagator = new W3CBaggagePropagator();
+
+/**
+ * The allow-listed entries of `baggage` as span attributes, under the same keys.
+ *
+ * @param {import('@opentelemetry/api').Baggage | undefined} baggage
+ * @param {string[]} keys
+ */
+const baggageAttributes = (baggage, keys) => {
+  const attributes = {};
+  if (!baggage) return attributes;
+  keys.forEach((key) => {
+    const entry = baggage.getEntry(key);
+    if (entry && entry.value !== '') attributes[key] = entry.value;
+  });
+  return attributes;
+};
+
+/**
+ * Express middleware that puts who is making the request into the W3C Baggage of
+ * the request's context: the entries of the incoming `baggage` header, plus
+ * `tenant.id`, `user.id` and `client.app` from the X-Tenant-Id, X-User-Id and
+ * X-Client-App headers when the baggage does not have them. The rest of the request
+ * runs in that context, so the BaggageSpanProcessor sees it and the propagator sends
+ * it along with every outgoing call.
+ *
+ * The HTTP instrumentation starts the server span before any middleware runs, so the
+ * allow-listed entries are also set on the active span here.
+ *
+ * @param {object} options
+ * @param {string[]} options.keys baggage entries copied onto spans
+ */
+const createBaggageMiddleware = ({ keys }) => (req, res, next) => {
+  const extracted = baggagePropagator.extract(context.active(), req.headers, defaultTextMapGetter);
+  let baggage = propagation.getBaggage(extracted) || propagation.createBaggage();
+
+  Object.entries(BAGGAGE_HEADERS).forEach(([key, header]) => {
+    const value = req.get(header);
+    if (value && !baggage.getEntry(key)) {
+      baggage = baggage.setEntry(key, { value: value.trim() });
+    }
+  });
+
+  const span = trace.getActiveSpan();
+  if (span) span.setAttributes(baggageAttributes(baggage, keys));
+
+  context.with(propagation.setBaggage(context.active(), baggage), next);
+};
+
+/**
+ * Copies the allow-listed baggage entries of a span's parent context onto the span
+ * as it starts, so spans from every instrumentation carry them without each handler
+ * setting them. The attributes go through redaction like any other.
+ */
+class BaggageSpanProcessor {
+  /**
+   * @param {string[]} keys
+   */
+  constructor(keys) {
+    this.keys = keys;
+  }
+
+  onStart(span, parentContext) {
+    if (this.keys.length === 0) return;
+    span.setAttributes(baggageAttributes(propagation.getBaggage(parentContext), this.keys));
+  }
+
+  onEnd() {}
+
+  forceFlush() {
+    return Promise.resolve();
+  }
+
+  shutdown() {
+    return Promise.resolve();
+  }
+}
+
+module.exports = { createBaggageMiddleware, BaggageSpanProcessor, BAGGAGE_HEADERS };
@@ -0,0 +1,575 @@
+// Reads the standard OTEL_* environment variables the way the OpenTelemetry
+// specification describes them, so the apps never need credentials in code.
+// https://opentelemetry.io/docs/specs/otel/configuration/sdk-environment-variables/
+// https://opentelemetry.io/docs/specs/otel/protocol/exporter/
+
+const DEFAULT_OTLP_ENDPOINT = 'http://localhost:4318';
+const DEFAULT_OTLP_TIMEOUT = 10000;
+const TRACES_EXPORTERS = ['otlp', 'console', 'file', 'none'];
+const METRICS_EXPORTERS = ['otlp', 'prometheus', 'console', 'none'];
+const LOGS_EXPORTERS = ['otlp', 'none'];
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+const SPAN_PROCESSORS = ['batch', 'simple'];
+const DEFAULT_SPANS_FILE = 'spans.jsonl';
+const SAMPLERS = [
+  'always_on', 'always_off', 'traceidratio',
+  'parentbased_always_on', 'parentbased_always_off', 'parentbased_traceidratio',
+  // Not in the specification: rules per route from OTEL_TRACES_SAMPLER_RULES
+  'parentbased_rules'
+];
+const REDACTION_ACTIONS = ['allow', 'deny', 'hash', 'length'];
+
+// User text and client identifiers the apps and the instrumentations put on spans.
+// TELEMETRY_REDACTION_RULES come before these, so they can override any of them.
+const DEFAULT_REDACTION_RULES = [
+  '*todo.title=hash',
+  '*todo.description=hash',
+  '*user_agent*=hash',
+  '*user_ip=deny',
+  'user.id=hash',
+  'client.address=deny',
+  'http.client_ip=deny',
+  'net.peer.ip=deny',
+  'net.sock.peer.addr=deny',
+  'network.peer.address=deny'
+].join(',');
+
+// Who is making a request, as set by createBaggageMiddleware in shared/baggage.js
+const DEFAULT_BAGGAGE_KEYS = 'tenant.id,user.id,client.app';
+
+// Defaults from the specification, used when an app passes no batchDefaults
+const DEFAULT_BATCH = {
+  maxQueueSize: 2048,
+  maxExportBatchSize: 512,
+  scheduledDelayMillis: 5000,
+  exportTimeoutMillis: 30000
+};
+
+const DEFAULT_METRIC_EXPORT_INTERVAL = 60000;
+const DEFAULT_METRIC_EXPORT_TIMEOUT = 30000;
+const DEFAULT_PROMETHEUS_PORT = 9464;
+
+// Boundaries in milliseconds for duration histograms. The SDK defaults go up to
+// 10000 with nothing between 0 and 5, where most in-memory and cached calls land.
+const DEFAULT_DURATION_BUCKETS = [1, 2, 5, 10, 25, 50, 75, 100, 250, 500, 750, 1000, 2500, 5000, 10000];
+
+const BATCH_VARIABLES = {
+  maxQueueSize: 'OTEL_BSP_MAX_QUEUE_SIZE',
+  maxExportBatchSize: 'OTEL_BSP_MAX_EXPORT_BATCH_SIZE',
+  scheduledDelayMillis: 'OTEL_BSP_SCHEDULE_DELAY',
+  exportTimeoutMillis: 'OTEL_BSP_EXPORT_TIMEOUT'
+};
+const REDACTED = '[REDACTED]';
+
+class ConfigurationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigurationError';
+  }
+}
+
+const decode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+/**
+ * Parses a `key1=value1,key2=value2` list as used by OTEL_EXPORTER_OTLP_HEADERS and
+ * OTEL_RESOURCE_ATTRIBUTES. Values are percent-decoded; entries without a key are
+ * skipped and reported through `warnings`.
+ */
+const parseKeyValueList = (value, name, warnings = []) => {
+  const result = {};
+  if (!value) return result;
+
+  value.split(',').forEach((entry) => {
+    if (!entry.trim()) return;
+    const separator = entry.indexOf('=');
+    const key = separator > 0 ? decode(entry.slice(0, separator).trim()) : '';
+    if (!key) {
+      warnings.push(`Ignoring malformed entry in ${name}: expected key=value`);
+      return;
+    }
+    result[key] = decode(entry.slice(separator + 1).trim());
+  });
+
+  return result;
+};
+
+// Older .env files in this repo put a bare `ApiKey ...` in OTEL_EXPORTER_OTLP_HEADERS.
+// That is not a key=value list, so it is read as the Authorization header instead.
+const LEGACY_AUTHORIZATION = /^(ApiKey|Bearer|Basic) \S+$/;
+
+const HEADER_VARIABLES = [
+  'OTEL_EXPORTER_OTLP_HEADERS',
+  ...['TRACES', 'METRICS', 'LOGS'].map((signal) => `OTEL_EXPORTER_OTLP_${signal}_HEADERS`)
+];
+
+const legacyAuthorization = (value) => (value && LEGACY_AUTHORIZATION.test(value.trim()) ? value.trim() : undefined);
+
+const legacyHeadersWarning = (name) => `${name} should be a key=value list, e.g. "Authorization=ApiKey%20<key>"; reading it as the Authorization header`;
+
+const parseHeaders = (env, name, warnings) => {
+  const authorization = legacyAuthorization(env[name]);
+  if (authorization) {
+    warnings.push(legacyHeadersWarning(name));
+    return { Authorization: authorization };
+  }
+  return parseKeyValueList(env[name], name, warnings);
+};
+
+/**
+ * The OTLP header variables of `env` that hold a bare legacy `ApiKey ...` value,
+ * rewritten as the Authorization entry of a key=value list. The OTLP exporters parse
+ * these variables on their own and would send the bare value as an invalid header
+ * name, so the app sets the rewritten values before any SDK starts. `env` is not
+ * changed here.
+ *
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {{ variables: Record<string, string>, warnings: string[] }}
+ */
+const normalizeHeaderVariables = (env) => {
+  const variables = {};
+  const warnings = [];
+  HEADER_VARIABLES.forEach((name) => {
+    const authorization = legacyAuthorization(env[name]);
+    if (!authorization) return;
+    variables[name] = `Authorization=${encodeURIComponent(authorization)}`;
+    warnings.push(legacyHeadersWarning(name));
+  });
+  return { variables, warnings };
+};
+
+/**
+ * The signal-specific OTEL_EXPORTER_OTLP_<SIGNAL>_ENDPOINT is used as-is, while the
+ * generic OTEL_EXPORTER_OTLP_ENDPOINT is a base URL that gets `/v1/<signal>` appended.
+ */
+const resolveEndpoint = (env, signal, warnings) => {
+  const specific = env[`OTEL_EXPORTER_OTLP_${signal.toUpperCase()}_ENDPOINT`];
+  if (specific) {
+    return specific;
+  }
+
+  const base = (env.OTEL_EXPORTER_OTLP_ENDPOINT || DEFAULT_OTLP_ENDPOINT).replace(/\/+$/, '');
+  const path = `/v1/${signal}`;
+  if (base.endsWith(path)) {
+    warnings.push(`OTEL_EXPORTER_OTLP_ENDPOINT already ends with ${path}; set it to the base URL or use OTEL_EXPORTER_OTLP_${signal.toUpperCase()}_ENDPOINT`);
+    return base;
+  }
+  // An endpoint left over from before the per-signal paths points at the traces path
+  if (base.endsWith('/v1/traces')) {
+    return `${base.slice(0, -'/v1/traces'.length)}${path}`;
+  }
+  return `${base}${path}`;
+};
+
+const resolveHeaders = (env, signal, warnings) => ({
+  ...parseHeaders(env, 'OTEL_EXPORTER_OTLP_HEADERS', warnings),
+  ...parseHeaders(env, `OTEL_EXPORTER_OTLP_${signal.toUpperCase()}_HEADERS`, warnings)
+});
+
+const hasAuthorization = (headers) => Object.keys(headers).some((key) => key.toLowerCase() === 'authorization');
+
+const isLocalEndpoint = (endpoint) => {
+  try {
+    return ['localhost', '127.0.0.1', '[::1]'].includes(new URL(endpoint).hostname);
+  } catch (error) {
+    return false;
+  }
+};
+
+const parseTimeout = (env, signal, warnings) => {
+  const raw = env[`OTEL_EXPORTER_OTLP_${signal.toUpperCase()}_TIMEOUT`] || env.OTEL_EXPORTER_OTLP_TIMEOUT;
+  if (!raw) return DEFAULT_OTLP_TIMEOUT;
+
+  const timeout = parseInt(raw, 10);
+  if (!(timeout > 0)) {
+    warnings.push(`Ignoring invalid OTLP timeout "${raw}", using ${DEFAULT_OTLP_TIMEOUT}ms`);
+    return DEFAULT_OTLP_TIMEOUT;
+  }
+  return timeout;
+};
+
+const parsePositiveInt = (env, name, fallback, warnings) => {
+  const raw = env[name];
+  if (raw === undefined || raw === '') return fallback;
+
+  const value = parseInt(raw, 10);
+  if (!(value > 0)) {
+    warnings.push(`Ignoring invalid ${name} "${raw}", using ${fallback}`);
+    return fallback;
+  }
+  return value;
+};
+
+const parseBatchOptions = (env, batchDefaults, warnings) => {
+  const defaults = { ...DEFAULT_BATCH, ...batchDefaults };
+  const batch = {};
+  Object.keys(BATCH_VARIABLES).forEach((option) => {
+    batch[option] = parsePositiveInt(env, BATCH_VARIABLES[option], defaults[option], warnings);
+  });
+
+  // The SDK would silently shrink the batch to the queue size, so say so here
+  if (batch.maxExportBatchSize > batch.maxQueueSize) {
+    warnings.push(`OTEL_BSP_MAX_EXPORT_BATCH_SIZE (${batch.maxExportBatchSize}) is larger than OTEL_BSP_MAX_QUEUE_SIZE (${batch.maxQueueSize}); using ${batch.maxQueueSize}`);
+    batch.maxExportBatchSize = batch.maxQueueSize;
+  }
+  return batch;
+};
+
+const parseExporterList = (env, name, fallback, allowed) => {
+  const exporters = (env[name] || fallback).split(',').map((exporter) => exporter.trim()).filter(Boolean);
+  const unknown = exporters.filter((exporter) => !allowed.includes(exporter));
+  if (unknown.length) {
+    throw new ConfigurationError(`Unknown ${name} "${unknown.join(', ')}", expected one of: ${allowed.join(', ')}`);
+  }
+  return exporters.includes('none') ? [] : exporters;
+};
+
+const parseBuckets = (env, warnings) => {
+  const raw = env.OTEL_METRICS_DURATION_BUCKETS;
+  if (!raw) return DEFAULT_DURATION_BUCKETS;
+
+  const buckets = raw.split(',').map((bucket) => Number(bucket.trim()));
+  const ascending = buckets.every((bucket, i) => Number.isFinite(bucket) && (i === 0 || bucket > buckets[i - 1]));
+  if (!ascending) {
+    warnings.push(`Ignoring OTEL_METRICS_DURATION_BUCKETS "${raw}": expected ascending numbers, e.g. "5,10,50,100"`);
+    return DEFAULT_DURATION_BUCKETS;
+  }
+  return buckets;
+};
+
+/**
+ * OTLP needs credentials for any endpoint that is not on this machine. Without them,
+ * production refuses to start and development swaps the exporter for `fallback`.
+ */
+const checkCredentials = ({ env, exporters, endpoint, headers, fallback, variable, warnings }) => {
+  if (!exporters.includes('otlp') || hasAuthorization(headers) || isLocalEndpoint(endpoint)) {
+    return exporters;
+  }
+
+  const message = `No Authorization header in ${variable} for ${redactUrl(endpoint)}`;
+  if (env.NODE_ENV === 'production') {
+    throw new ConfigurationError(message);
+  }
+  if (!fallback) {
+    warnings.push(`${message}; not exporting over OTLP`);
+    return exporters.filter((name) => name !== 'otlp');
+  }
+  warnings.push(`${message}; ${fallback.reason} instead`);
+  return [...new Set(exporters.map((name) => (name === 'otlp' ? fallback.exporter : name)))];
+};
+
+const parseMetricsConfig = (env, defaults, warnings) => {
+  const endpoint = resolveEndpoint(env, 'metrics', warnings);
+  const headers = resolveHeaders(env, 'metrics', warnings);
+  const exporters = checkCredentials({
+    env,
+    exporters: parseExporterList(env, 'OTEL_METRICS_EXPORTER', defaults.exporters || 'otlp', METRICS_EXPORTERS),
+    endpoint,
+    headers,
+    variable: 'OTEL_EXPORTER_OTLP_HEADERS',
+    warnings
+  });
+
+  const exportIntervalMillis = parsePositiveInt(env, 'OTEL_METRIC_EXPORT_INTERVAL', defaults.exportIntervalMillis || DEFAULT_METRIC_EXPORT_INTERVAL, warnings);
+  let exportTimeoutMillis = parsePositiveInt(env, 'OTEL_METRIC_EXPORT_TIMEOUT', DEFAULT_METRIC_EXPORT_TIMEOUT, warnings);
+  // The SDK rejects a timeout longer than the interval
+  if (exportTimeoutMillis > exportIntervalMillis) {
+    exportTimeoutMillis = exportIntervalMillis;
+  }
+
+  return {
+    exporters,
+    endpoint,
+    headers,
+    timeoutMillis: parseTimeout(env, 'metrics', warnings),
+    exportIntervalMillis,
+    exportTimeoutMillis,
+    durationBuckets: parseBuckets(env, warnings),
+    prometheus: {
+      host: env.OTEL_EXPORTER_PROMETHEUS_HOST || undefined,
+      port: parsePositiveInt(env, 'OTEL_EXPORTER_PROMETHEUS_PORT', DEFAULT_PROMETHEUS_PORT, warnings),
+      endpoint: '/metrics'
+    }
+  };
+};
+
+const parseLogsConfig = (env, warnings) => {
+  const endpoint = resolveEndpoint(env, 'logs', warnings);
+  const headers = resolveHeaders(env, 'logs', warnings);
+
+  let level = (env.LOG_LEVEL || 'info').trim().toLowerCase();
+  if (!LOG_LEVELS.includes(level)) {
+    warnings.push(`Ignoring unknown LOG_LEVEL "${env.LOG_LEVEL}", expected one of: ${LOG_LEVELS.join(', ')}`);
+    level = 'info';
+  }
+
+  return {
+    level,
+    // Logs always go to stdout; OTLP export is opt-in
+    exporters: checkCredentials({
+      env,
+      exporters: parseExporterList(env, 'OTEL_LOGS_EXPORTER', 'none', LOGS_EXPORTERS),
+      endpoint,
+      headers,
+      variable: 'OTEL_EXPORTER_OTLP_HEADERS',
+      warnings
+    }),
+    endpoint,
+    headers,
+    timeoutMillis: parseTimeout(env, 'logs', warnings)
+  };
+};
+
+// `0.05` or `5%`
+const parseRatio = (raw, name) => {
+  const text = String(raw).trim();
+  const ratio = text.endsWith('%') ? Number(text.slice(0, -1)) / 100 : Number(text);
+  if (text === '' || text === '%' || !(ratio >= 0 && ratio <= 1)) {
+    throw new ConfigurationError(`Invalid ratio "${raw}" in ${name}, expected a number from 0 to 1 or a percentage`);
+  }
+  return ratio;
+};
+
+const SAMPLING_RULE = /^(?:([A-Za-z]+|\*)\s+)?(\S+)\s*=\s*(\S+)$/;
+
+/**
+ * Parses OTEL_TRACES_SAMPLER_RULES, a comma-separated list of `[METHOD] PATTERN=RATIO`
+ * rules such as `POST /add_item=1, DELETE *=1, GET /get_todos=5%, /static/*=0`. The
+ * first rule that matches a root span decides.
+ */
+const parseSamplingRules = (value) => (value || '')
+  .split(',')
+  .map((entry) => entry.trim())
+  .filter(Boolean)
+  .map((entry) => {
+    const match = SAMPLING_RULE.exec(entry);
+    if (!match) {
+      throw new ConfigurationError(`Invalid rule "${entry}" in OTEL_TRACES_SAMPLER_RULES, expected "[METHOD] PATTERN=RATIO", e.g. "GET /get_todos=0.05"`);
+    }
+    const [, method, pattern, ratio] = match;
+    return {
+      ...(method && method !== '*' ? { method: method.toUpperCase() } : {}),
+      pattern,
+      ratio: parseRatio(ratio, 'OTEL_TRACES_SAMPLER_RULES'),
+      source: entry.slice(0, entry.lastIndexOf('=')).trim()
+    };
+  });
+
+/**
+ * OTEL_TRACES_SAMPLER defaults to `parentbased_rules` when rules are set and to the
+ * specification's `parentbased_always_on` otherwise. OTEL_TRACES_SAMPLER_ARG is the
+ * ratio of the `traceidratio` samplers and of the root spans no rule matches.
+ */
+const parseSamplerConfig = (env) => {
+  const rules = parseSamplingRules(env.OTEL_TRACES_SAMPLER_RULES);
+  const name = (env.OTEL_TRACES_SAMPLER || (rules.length ? 'parentbased_rules' : 'parentbased_always_on')).trim().toLowerCase();
+  if (!SAMPLERS.includes(name)) {
+    throw new ConfigurationError(`Unknown OTEL_TRACES_SAMPLER "${name}", expected one of: ${SAMPLERS.join(', ')}`);
+  }
+  const raw = env.OTEL_TRACES_SAMPLER_ARG;
+  return {
+    name,
+    ratio: raw === undefined || raw === '' ? 1 : parseRatio(raw, 'OTEL_TRACES_SAMPLER_ARG'),
+    rules
+  };
+};
+
+const parseRedactionRules = (value, name) => (value || '')
+  .split(',')
+  .map((entry) => entry.trim())
+  .filter(Boolean)
+  .map((entry) => {
+    const separator = entry.lastIndexOf('=');
+    const pattern = entry.slice(0, separator).trim();
+    const action = entry.slice(separator + 1).trim().toLowerCase();
+    if (separator <= 0 || !pattern || !REDACTION_ACTIONS.includes(action)) {
+      throw new ConfigurationError(`Invalid rule "${entry}" in ${name}, expected "KEY_PATTERN=ACTION" with one of: ${REDACTION_ACTIONS.join(', ')}`);
+    }
+    return { pattern, action };
+  });
+
+/**
+ * The redaction policy for span, event and log record attributes: TELEMETRY_REDACTION_RULES,
+ * then the built-in rules, then TELEMETRY_REDACTION_DEFAULT (`allow`) for every
+ * other key. Hashes are keyed with TELEMETRY_REDACTION_HASH_KEY when it is set.
+ */
+const parseRedactionConfig = (env, warnings) => {
+  const rules = [
+    ...parseRedactionRules(env.TELEMETRY_REDACTION_RULES, 'TELEMETRY_REDACTION_RULES'),
+    ...parseRedactionRules(DEFAULT_REDACTION_RULES, 'the default redaction rules')
+  ];
+  const defaultAction = (env.TELEMETRY_REDACTION_DEFAULT || 'allow').trim().toLowerCase();
+  if (!REDACTION_ACTIONS.includes(defaultAction)) {
+    throw new ConfigurationError(`Unknown TELEMETRY_REDACTION_DEFAULT "${defaultAction}", expected one of: ${REDACTION_ACTIONS.join(', ')}`);
+  }
+
+  const hashKey = env.TELEMETRY_REDACTION_HASH_KEY || undefined;
+  // A short title has few enough candidates to be found from its plain hash
+  if (!hashKey && env.NODE_ENV === 'production') {
+    warnings.push('TELEMETRY_REDACTION_HASH_KEY is not set; hashed attributes use plain SHA-256');
+  }
+  return { rules, defaultAction, hashKey };
+};
+
+// Unlike the upstream instrumentations, the apps use the stable names when a domain
+// is not listed; `<domain>/dup` adds the old names for dashboards that still read them.
+// Other domains are left to the instrumentations that know them.
+const parseSemconvConfig = (env) => {
+  const optIn = (env.OTEL_SEMCONV_STABILITY_OPT_IN || '').split(',').map((entry) => entry.trim().toLowerCase());
+  return {
+    http: optIn.includes('http/dup') ? 'dup' : 'stable',
+    database: optIn.includes('database/dup') ? 'dup' : 'stable'
+  };
+};
+
+// Baggage entries copied onto every span; an empty TELEMETRY_BAGGAGE_KEYS turns it off
+const parseBaggageConfig = (env) => ({
+  keys: (env.TELEMETRY_BAGGAGE_KEYS !== undefined ? env.TELEMETRY_BAGGAGE_KEYS : DEFAULT_BAGGAGE_KEYS)
+    .split(',')
+    .map((key) => key.trim())
+    .filter(Boolean)
+});
+
+const parseSpanProcessor = (env) => {
+  const processor = (env.OTEL_SPAN_PROCESSOR || 'batch').trim().toLowerCase();
+  if (!SPAN_PROCESSORS.includes(processor)) {
+    throw new ConfigurationError(`Unknown OTEL_SPAN_PROCESSOR "${processor}", expected one of: ${SPAN_PROCESSORS.join(', ')}`);
+  }
+  return processor;
+};
+
+/**
+ * Builds the telemetry configuration for an app from the environment.
+ *
+ * An OTLP endpoint other than localhost without an Authorization header cannot work
+ * against Elastic Cloud. With NODE_ENV=production that is a ConfigurationError;
+ * otherwise spans fall back to the console exporter so the app still starts.
+ *
+ * @param {object} options
+ * @param {string} options.defaultServiceName used when OTEL_SERVICE_NAME is not set
+ * @param {object} [options.batchDefaults] BatchSpanProcessor options used when the
+ *   matching OTEL_BSP_* variable is not set
+ * @param {object} [options.metrics] set by apps that export metrics; `exporters` and
+ *   `exportIntervalMillis` are used when OTEL_METRICS_EXPORTER and
+ *   OTEL_METRIC_EXPORT_INTERVAL are not set. Without it `config.metrics` is undefined.
+ * @param {NodeJS.ProcessEnv} [options.env]
+ */
+const loadTelemetryConfig = ({ defaultServiceName, batchDefaults = {}, metrics, env = process.env }) => {
+  const warnings = [];
+
+  const resourceAttributes = parseKeyValueList(env.OTEL_RESOURCE_ATTRIBUTES, 'OTEL_RESOURCE_ATTRIBUTES', warnings);
+  const serviceName = env.OTEL_SERVICE_NAME || resourceAttributes['service.name'] || defaultServiceName;
+  const serviceVersion = env.OTEL_SERVICE_VERSION || resourceAttributes['service.version'] || '1.0.0';
+  const environment = env.OTEL_ENVIRONMENT || resourceAttributes['deployment.environment'] || env.NODE_ENV || 'development';
+
+  const endpoint = resolveEndpoint(env, 'traces', warnings);
+  const headers = resolveHeaders(env, 'traces', warnings);
+  const tracesExporters = checkCredentials({
+    env,
+    exporters: parseExporterList(env, 'OTEL_TRACES_EXPORTER', 'otlp', TRACES_EXPORTERS),
+    endpoint,
+    headers,
+    fallback: { exporter: 'console', reason: 'printing spans to the console' },
+    variable: 'OTEL_EXPORTER_OTLP_HEADERS',
+    warnings
+  });
+
+  return {
+    serviceName,
+    serviceVersion,
+    environment,
+    resourceAttributes,
+    traces: {
+      exporters: tracesExporters,
+      processor: parseSpanProcessor(env),
+      sampler: parseSamplerConfig(env),
+      batch: parseBatchOptions(env, batchDefaults, warnings),
+      endpoint,
+      headers,
+      timeoutMillis: parseTimeout(env, 'traces', warnings),
+      filePath: env.OTEL_EXPORTER_FILE_PATH || DEFAULT_SPANS_FILE
+    },
+    metrics: metrics ? parseMetricsConfig(env, metrics, warnings) : undefined,
+    logs: parseLogsConfig(env, warnings),
+    redaction: parseRedactionConfig(env, warnings),
+    semconv: parseSemconvConfig(env),
+    baggage: parseBaggageConfig(env),
+    warnings
+  };
+};
+
+// Credentials can also hide in the userinfo part of a URL
+const redactUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    if (parsed.username || parsed.password) {
+      parsed.username = 'REDACTED';
+      parsed.password = '';
+    }
+    return parsed.toString();
+  } catch (error) {
+    return url;
+  }
+};
+
+const describeSpanProcessor = ({ processor, batch }) => (processor === 'simple'
+  ? 'simple (one export per span)'
+  : `batch (size ${batch.maxExportBatchSize}, queue ${batch.maxQueueSize}, delay ${batch.scheduledDelayMillis}ms, timeout ${batch.exportTimeoutMillis}ms)`);
+
+const describeMetrics = (metrics) => [
+  `   Metric exporters: ${metrics.exporters.join(', ') || 'none'} (every ${metrics.exportIntervalMillis}ms)`,
+  ...(metrics.exporters.includes('otlp') ? [`   OTLP metrics endpoint: ${redactUrl(metrics.endpoint)}`] : []),
+  ...(metrics.exporters.includes('prometheus')
+    ? [`   Prometheus scrape endpoint: http://${metrics.prometheus.host || 'localhost'}:${metrics.prometheus.port}${metrics.prometheus.endpoint}`]
+    : [])
+];
+
+const describeSampler = ({ name, ratio, rules }) => {
+  if (name === 'parentbased_rules') {
+    return `${name} (${[...rules.map((rule) => `${rule.source}=${rule.ratio}`), `otherwise ${ratio}`].join(', ')})`;
+  }
+  return name.endsWith('traceidratio') ? `${name} (${ratio})` : name;
+};
+
+const describeRedaction = ({ rules, defaultAction, hashKey }) => {
+  const counts = REDACTION_ACTIONS
+    .map((action) => [action, rules.filter((rule) => rule.action === action).length])
+    .filter(([, count]) => count > 0)
+    .map(([action, count]) => `${count} ${action}`);
+  return `${rules.length} rules (${counts.join(', ')}), otherwise ${defaultAction}; hashes ${hashKey ? 'keyed' : 'unkeyed'}`;
+};
+
+const redactHeaders = (headers) => Object.keys(headers).map((key) => `${key}=${REDACTED}`).join(', ');
+
+/**
+ * Startup log lines for a configuration, with header values and URL credentials redacted.
+ */
+const describeTelemetryConfig = (config) => [
+  `   Service: ${config.serviceName}@${config.serviceVersion} (${config.environment})`,
+  `   Trace exporters: ${config.traces.exporters.join(', ') || 'none'}`,
+  `   Span processor: ${describeSpanProcessor(config.traces)}`,
+  `   Sampler: ${describeSampler(config.traces.sampler)}`,
+  `   Redaction: ${describeRedaction(config.redaction)}`,
+  `   Semantic conventions: HTTP ${config.semconv.http}, database ${config.semconv.database}`,
+  `   Baggage on spans: ${config.baggage.keys.join(', ') || 'none'}`,
+  `   OTLP endpoint: ${redactUrl(config.traces.endpoint)}`,
+  `   OTLP headers: ${redactHeaders(config.traces.headers) || 'none'}`,
+  ...(config.traces.exporters.includes('file') ? [`   Spans file: ${config.traces.filePath}`] : []),
+  ...(config.metrics ? describeMetrics(config.metrics) : []),
+  `   Log level: ${config.logs.level}, OTLP export: ${config.logs.exporters.includes('otlp') ? redactUrl(config.logs.endpoint) : 'off'}`,
+  ...config.warnings.map((warning) => `   ⚠️  ${warning}`)
+];
+
+module.exports = {
+  ConfigurationError,
+  loadTelemetryConfig,
+  describeTelemetryConfig,
+  normalizeHeaderVariables,
+  parseKeyValueList,
+  redactUrl
+};
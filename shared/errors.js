@@ -0,0 +1,128 @@
+const { trace } = require('@opentelemetry/api');
+
+/**
+ * An error with the HTTP status it should be answered with. `code` is a stable,
+ * machine-readable name for the failure; `details` lists individual problems,
+ * e.g. one entry per invalid field.
+ */
+class HttpError extends Error {
+  constructor(statusCode, code, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+
+  // 4xx errors are the caller's fault; 5xx errors are ours
+  get isClientError() {
+    return this.statusCode < 500;
+  }
+
+  toJSON() {
+    return {
+      error: {
+        status: this.statusCode,
+        code: this.code,
+        message: this.message,
+        ...(this.details ? { details: this.details } : {})
+      }
+    };
+  }
+}
+
+class ValidationError extends HttpError {
+  constructor(message, details) {
+    super(400, 'validation_failed', message, details);
+    this.name = 'ValidationError';
+  }
+}
+
+class NotFoundError extends HttpError {
+  constructor(message) {
+    super(404, 'not_found', message);
+    this.name = 'NotFoundError';
+  }
+}
+
+class ServiceUnavailableError extends HttpError {
+  constructor(message) {
+    super(503, 'service_unavailable', message);
+    this.name = 'ServiceUnavailableError';
+  }
+}
+
+// Errors from @elastic/transport that mean the cluster could not be reached in time
+const UNAVAILABLE_ERRORS = ['ConnectionError', 'NoLivingConnectionsError', 'TimeoutError'];
+
+/**
+ * Maps any error thrown while handling a request to the HttpError it should be
+ * answered with. Elasticsearch 404s become NotFoundError, an unreachable or
+ * overloaded cluster becomes ServiceUnavailableError, and everything else is a 500
+ * whose message is not passed on to the client.
+ */
+const toHttpError = (error) => {
+  if (error instanceof HttpError) {
+    return error;
+  }
+
+  // body-parser marks its own errors with `type` and `status`
+  if (error.type === 'entity.parse.failed') {
+    return new HttpError(400, 'invalid_json', 'Request body is not valid JSON');
+  }
+  if (error.type === 'entity.too.large') {
+    return new HttpError(413, 'payload_too_large', 'Request body is too large');
+  }
+
+  if (UNAVAILABLE_ERRORS.includes(error.name) || [429, 502, 503, 504].includes(error.statusCode)) {
+    return new ServiceUnavailableError('Storage is unavailable, try again later');
+  }
+  if (error.name === 'ResponseError' && error.statusCode === 404) {
+    return new NotFoundError('Todo not found');
+  }
+
+  return new HttpError(500, 'internal_error', 'Something went wrong while handling the request');
+};
+
+/**
+ * Express error middleware answering every error with the `{ error: { status, code,
+ * message, details } }` envelope. Server errors are logged with their cause. The
+ * HTTP server span of the request, when there is one, gets `error.type` and, for
+ * server errors, the exception; its status follows from the response code.
+ *
+ * @param {object} options
+ * @param {ReturnType<import('./logger').createLogger>} options.logger
+ */
+const createErrorHandler = ({ logger }) => (error, req, res, next) => {
+  const httpError = toHttpError(error);
+  const attributes = {
+    'http.request.method': req.method,
+    'url.path': req.path,
+    'http.response.status_code': httpError.statusCode,
+    'error.type': httpError.code
+  };
+
+  const span = trace.getActiveSpan();
+  span?.setAttribute('error.type', httpError.code);
+
+  if (httpError.isClientError) {
+    logger.info('Request rejected', { ...attributes, 'error.message': httpError.message });
+  } else {
+    span?.recordException(error);
+    logger.error('Request failed', { ...attributes, error });
+  }
+
+  if (res.headersSent) {
+    return next(error);
+  }
+  res.status(httpError.statusCode).json(httpError);
+};
+
+module.exports = {
+  HttpError,
+  ValidationError,
+  NotFoundError,
+  ServiceUnavailableError,
+  toHttpError,
+  createErrorHandler
+};
@@ -0,0 +1,296 @@
+const { context, trace, diag, isSpanContextValid, TraceFlags } = require('@opentelemetry/api');
+const { MeterProvider, DataPointType } = require('@opentelemetry/sdk-metrics');
+const { OTLPMetricExporterBase } = require('@opentelemetry/exporter-metrics-otlp-http');
+const { OTLPExporterNodeBase, parseHeaders } = require('@opentelemetry/otlp-exporter-base');
+const { createExportMetricsServiceRequest, JsonMetricsSerializer } = require('@opentelemetry/otlp-transformer');
+const { PrometheusExporter, PrometheusSerializer } = require('@opentelemetry/exporter-prometheus');
+const { hrTimeToMilliseconds } = require('@opentelemetry/core');
+
+const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+// The SDK has no exemplar support, so the classes below override or call parts of
+// the exporter packages that are not their public API. Those packages are pinned to
+// exact versions in package.json; this fails loudly, rather than exemplars quietly
+// going missing, on an upgrade that renamed or dropped one of them.
+const assertSdkInternals = () => {
+  const missing = [
+    ['OTLPExporterNodeBase', OTLPExporterNodeBase],
+    ['OTLPMetricExporterBase', OTLPMetricExporterBase],
+    ['createExportMetricsServiceRequest', createExportMetricsServiceRequest],
+    ['JsonMetricsSerializer.deserializeResponse', JsonMetricsSerializer && JsonMetricsSerializer.deserializeResponse],
+    ['PrometheusSerializer#_serializeMetricData', PrometheusSerializer.prototype._serializeMetricData],
+    ['PrometheusSerializer#_serializeHistogramDataPoint', PrometheusSerializer.prototype._serializeHistogramDataPoint],
+    ['PrometheusExporter#_exportMetrics', new PrometheusExporter({ preventServerStart: true })._exportMetrics]
+  ].filter(([, value]) => typeof value !== 'function').map(([name]) => name);
+
+  if (missing.length > 0) {
+    throw new Error(`Exemplars rely on ${missing.join(', ')}, which the installed OpenTelemetry packages no longer have`);
+  }
+};
+
+// The bucket a value is counted in, as the SDK's explicit bucket histogram does:
+// the first whose upper boundary is not below it, or the last, unbounded one
+const bucketIndex = (boundaries, value) => {
+  const index = boundaries.findIndex((boundary) => value <= boundary);
+  return index === -1 ? boundaries.length : index;
+};
+
+const seriesKey = (metricName, attributes = {}) => JSON.stringify([
+  metricName,
+  Object.keys(attributes).sort().map((key) => [key, attributes[key]])
+]);
+
+/**
+ * Keeps, for every bucket of every series of the histograms it is given recordings
+ * of, the latest value recorded inside a sampled span, with the trace and span it was
+ * recorded in. These are the exemplars: a slow bucket on a dashboard leads straight
+ * to a trace that landed in it. Recordings outside a span, or in one that is not
+ * sampled and so will never be exported, are left out.
+ */
+class ExemplarStore {
+  /**
+   * @param {number[]} boundaries bucket boundaries of the histograms, as in their View
+   */
+  constructor(boundaries) {
+    this.boundaries = boundaries;
+    this.series = new Map();
+  }
+
+  /**
+   * @param {string} metricName
+   * @param {number} value
+   * @param {import('@opentelemetry/api').Attributes} [attributes]
+   * @param {import('@opentelemetry/api').Context} [recordContext] defaults to the active context
+   */
+  record(metricName, value, attributes, recordContext = context.active()) {
+    const spanContext = trace.getSpanContext(recordContext);
+    if (!spanContext || !isSpanContextValid(spanContext) || !(spanContext.traceFlags & TraceFlags.SAMPLED)) return;
+    if (!Number.isFinite(value) || value < 0) return;
+
+    const key = seriesKey(metricName, attributes);
+    let buckets = this.series.get(key);
+    if (!buckets) {
+      buckets = new Array(this.boundaries.length + 1).fill(undefined);
+      this.series.set(key, buckets);
+    }
+    buckets[bucketIndex(this.boundaries, value)] = {
+      value,
+      time: Date.now(),
+      traceId: spanContext.traceId,
+      spanId: spanContext.spanId
+    };
+  }
+
+  /**
+   * The latest exemplar of each bucket of one series, `undefined` where there is none.
+   *
+   * @returns {Array<{ value: number, time: number, traceId: string, spanId: string } | undefined>}
+   */
+  get(metricName, attributes) {
+    return this.series.get(seriesKey(metricName, attributes)) || [];
+  }
+}
+
+/**
+ * A MeterProvider whose histograms named in `histograms` also hand every recording
+ * to the ExemplarStore, with the context it was recorded in. The SDK has no exemplar
+ * reservoir or view option to plug the store into, so the public `createHistogram`
+ * and `record` of its meters are wrapped instead.
+ */
+class ExemplarMeterProvider extends MeterProvider {
+  /**
+   * @param {import('@opentelemetry/sdk-metrics').MeterProviderOptions} options
+   * @param {object} exemplarOptions
+   * @param {ExemplarStore} exemplarOptions.exemplars
+   * @param {string[]} exemplarOptions.histograms
+   */
+  constructor(options, { exemplars, histograms }) {
+    super(options);
+    this.exemplars = exemplars;
+    this.histograms = histograms;
+    // The SDK returns the same Meter for the same name and version
+    this.wrappedMeters = new WeakSet();
+  }
+
+  getMeter(name, version, options) {
+    const meter = super.getMeter(name, version, options);
+    if (this.wrappedMeters.has(meter)) return meter;
+    this.wrappedMeters.add(meter);
+
+    const createHistogram = meter.createHistogram.bind(meter);
+    meter.createHistogram = (histogramName, histogramOptions) => {
+      const histogram = createHistogram(histogramName, histogramOptions);
+      if (!this.histograms.includes(histogramName)) return histogram;
+
+      const record = histogram.record.bind(histogram);
+      histogram.record = (value, attributes, recordContext) => {
+        record(value, attributes, recordContext);
+        this.exemplars.record(histogramName, value, attributes, recordContext);
+      };
+      return histogram;
+    };
+    return meter;
+  }
+}
+
+/**
+ * The OTLP/JSON metrics serializer with the exemplars recorded since the previous
+ * export added to the histogram data points. The request keeps the order of the
+ * collected metrics and data points, so they are matched by position.
+ *
+ * @param {ExemplarStore} exemplars
+ */
+const createExemplarSerializer = (exemplars) => {
+  const encoder = new TextEncoder();
+  let exportedUntil = 0;
+
+  return {
+    serializeRequest: (collected) => {
+      const request = createExportMetricsServiceRequest(collected, { useLongBits: false });
+      let collectedAt = exportedUntil;
+
+      collected.forEach((resourceMetrics, resourceIndex) => {
+        resourceMetrics.scopeMetrics.forEach((scopeMetrics, scopeIndex) => {
+          scopeMetrics.metrics.forEach((metric, metricIndex) => {
+            if (metric.dataPointType !== DataPointType.HISTOGRAM) return;
+            const dataPoints = request.resourceMetrics[resourceIndex].scopeMetrics[scopeIndex].metrics[metricIndex].histogram.dataPoints;
+
+            metric.dataPoints.forEach((dataPoint, pointIndex) => {
+              const endTime = hrTimeToMilliseconds(dataPoint.endTime);
+              collectedAt = Math.max(collectedAt, endTime);
+              const recent = exemplars.get(metric.descriptor.name, dataPoint.attributes)
+                .filter((exemplar) => exemplar && exemplar.time > exportedUntil && exemplar.time <= endTime);
+              if (recent.length === 0) return;
+
+              dataPoints[pointIndex].exemplars = recent.map((exemplar) => ({
+                timeUnixNano: String(BigInt(exemplar.time) * 1000000n),
+                asDouble: exemplar.value,
+                traceId: exemplar.traceId,
+                spanId: exemplar.spanId,
+                filteredAttributes: []
+              }));
+            });
+          });
+        });
+      });
+
+      exportedUntil = collectedAt;
+      return encoder.encode(JSON.stringify(request));
+    },
+    deserializeResponse: JsonMetricsSerializer.deserializeResponse
+  };
+};
+
+class ExemplarOTLPExporterProxy extends OTLPExporterNodeBase {
+  constructor(config, serializer) {
+    super(config, serializer, { ...parseHeaders(config.headers), 'Content-Type': 'application/json' });
+  }
+
+  getDefaultUrl(config) {
+    return config.url;
+  }
+}
+
+/**
+ * OTLPMetricExporter over HTTP/JSON whose histogram data points carry exemplars.
+ */
+class ExemplarOTLPMetricExporter extends OTLPMetricExporterBase {
+  /**
+   * @param {{ url: string, headers?: Record<string, string>, timeoutMillis?: number }} config
+   * @param {ExemplarStore} exemplars
+   */
+  constructor(config, exemplars) {
+    assertSdkInternals();
+    super(new ExemplarOTLPExporterProxy(config, createExemplarSerializer(exemplars)), config);
+  }
+}
+
+/**
+ * Serializes metrics in the OpenMetrics text format, with the latest exemplar of each
+ * histogram bucket after its sample. On top of the Prometheus text format, OpenMetrics
+ * names a counter family without the `_total` of its samples, only allows a unit the
+ * metric name ends with, and ends with `# EOF`. Samples never get a timestamp, since
+ * the Prometheus serializer's are in milliseconds and OpenMetrics' in seconds.
+ */
+class OpenMetricsSerializer extends PrometheusSerializer {
+  /**
+   * @param {ExemplarStore} exemplars
+   * @param {string} [prefix] put before every metric name, as by the exporter's own serializer
+   */
+  constructor(exemplars, prefix) {
+    super(prefix);
+    this.exemplars = exemplars;
+  }
+
+  serialize(resourceMetrics) {
+    const lines = super.serialize(resourceMetrics)
+      .split('\n')
+      .filter((line) => line !== '' && !line.startsWith('# UNIT ') && line !== '# no registered metrics');
+    return `${lines.join('\n')}\n# EOF\n`;
+  }
+
+  _serializeMetricData(metricData) {
+    this.metricName = metricData.descriptor.name;
+    const text = super._serializeMetricData(metricData);
+    if (metricData.dataPointType !== DataPointType.SUM || !metricData.isMonotonic) return text;
+    return text.replace(/^# (HELP|TYPE) (\S+)_total /gm, '# $1 $2 ');
+  }
+
+  _serializeHistogramDataPoint(name, type, dataPoint) {
+    const text = super._serializeHistogramDataPoint(name, type, dataPoint);
+    const exemplars = this.exemplars.get(this.metricName, dataPoint.attributes);
+    if (exemplars.length === 0) return text;
+
+    // The bucket samples come last, one per bucket in order
+    let bucket = 0;
+    return text.split('\n').map((line) => {
+      if (!line.startsWith(`${name}_bucket`)) return line;
+      const exemplar = exemplars[bucket++];
+      if (!exemplar) return line;
+      return `${line} # {trace_id="${exemplar.traceId}",span_id="${exemplar.spanId}"} ${exemplar.value} ${(exemplar.time / 1000).toFixed(3)}`;
+    }).join('\n');
+  }
+}
+
+/**
+ * PrometheusExporter that answers in OpenMetrics, with exemplars, when the scrape
+ * asks for it in its Accept header, as Prometheus does with exemplar storage
+ * enabled, and in the classic text format otherwise.
+ */
+class OpenMetricsPrometheusExporter extends PrometheusExporter {
+  /**
+   * @param {import('@opentelemetry/exporter-prometheus').ExporterConfig} config
+   * @param {ExemplarStore} exemplars
+   */
+  constructor(config, exemplars) {
+    assertSdkInternals();
+    super(config);
+    const serializer = new OpenMetricsSerializer(exemplars, config.prefix);
+    const exportText = this._exportMetrics;
+
+    this._exportMetrics = (response) => {
+      const accept = (response.req && response.req.headers.accept) || '';
+      if (!accept.includes('application/openmetrics-text')) return exportText(response);
+
+      response.statusCode = 200;
+      response.setHeader('content-type', OPENMETRICS_CONTENT_TYPE);
+      this.collect().then(({ resourceMetrics, errors }) => {
+        if (errors.length) {
+          diag.error('PrometheusExporter: metrics collection errors', ...errors);
+        }
+        response.end(serializer.serialize(resourceMetrics));
+      }, (error) => {
+        response.end(`# failed to export metrics: ${error}`);
+      });
+    };
+  }
+}
+
+module.exports = {
+  assertSdkInternals,
+  ExemplarStore,
+  ExemplarMeterProvider,
+  ExemplarOTLPMetricExporter,
+  OpenMetricsPrometheusExporter,
+  OPENMETRICS_CONTENT_TYPE
+};
@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+const { ExportResultCode, hrTimeToMicroseconds } = require('@opentelemetry/core');
+
+/**
+ * Appends finished spans to a file, one JSON object per line, in the same shape
+ * ConsoleSpanExporter prints. Useful for keeping traces from a workshop run or
+ * diffing the span trees of the three apps.
+ */
+class FileSpanExporter {
+  constructor({ filePath }) {
+    this.filePath = path.resolve(filePath);
+    this.pending = Promise.resolve();
+    this.stopped = false;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+  }
+
+  export(spans, resultCallback) {
+    if (this.stopped) {
+      return resultCallback({ code: ExportResultCode.FAILED, error: new Error('FileSpanExporter is shut down') });
+    }
+
+    const lines = spans.map((span) => `${JSON.stringify(this.toRecord(span))}\n`).join('');
+    // Writes are chained so lines from consecutive batches never interleave
+    this.pending = this.pending
+      .then(() => fs.promises.appendFile(this.filePath, lines))
+      .then(
+        () => resultCallback({ code: ExportResultCode.SUCCESS }),
+        (error) => resultCallback({ code: ExportResultCode.FAILED, error })
+      );
+  }
+
+  forceFlush() {
+    return this.pending;
+  }
+
+  shutdown() {
+    this.stopped = true;
+    return this.forceFlush();
+  }
+
+  toRecord(span) {
+    const spanContext = span.spanContext();
+    return {
+      resource: { attributes: span.resource.attributes },
+      instrumentationScope: span.instrumentationLibrary,
+      traceId: spanContext.traceId,
+      parentId: span.parentSpanId,
+      name: span.name,
+      id: spanContext.spanId,
+      kind: span.kind,
+      timestamp: hrTimeToMicroseconds(span.startTime),
+      duration: hrTimeToMicroseconds(span.duration),
+      attributes: span.attributes,
+      status: span.status,
+      events: span.events,
+      links: span.links
+    };
+  }
+}
+
+module.exports = { FileSpanExporter };
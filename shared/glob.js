@@ -0,0 +1,13 @@
+/**
+ * Turns a `*` pattern into an anchored regular expression. `*` matches any run of
+ * characters, dots and slashes included, and everything else matches itself.
+ *
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+const globToRegExp = (pattern) => new RegExp(`^${pattern
+  .split('*')
+  .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+  .join('.*')}$`);
+
+module.exports = { globToRegExp };
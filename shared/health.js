@@ -0,0 +1,139 @@
+const { context } = require('@opentelemetry/api');
+const { suppressTracing } = require('@opentelemetry/core');
+const { ServiceUnavailableError } = require('./errors');
+
+const DEFAULT_RETRY_MILLIS = 5000;
+// A probe should fail fast rather than wait for the client's retries
+const CHECK_OPTIONS = { requestTimeout: 2000, maxRetries: 0 };
+const HEALTH_PATHS = ['/healthz', '/readyz'];
+
+/**
+ * True for requests to the health endpoints, which orchestrators call every few
+ * seconds; used to keep them out of the HTTP instrumentation.
+ *
+ * @param {import('http').IncomingMessage} request
+ */
+const isHealthCheckRequest = (request) => HEALTH_PATHS.includes((request.url || '').split('?')[0]);
+
+/**
+ * Creates the `/healthz` and `/readyz` handlers and tracks the index setup that
+ * readiness is gated on.
+ *
+ * - `/healthz` answers 200 while the process can serve requests. It makes no calls
+ *   to Elasticsearch and reports the index setup and the span exporters.
+ * - `/readyz` answers 200 only when the index setup has succeeded, Elasticsearch
+ *   answers a ping, the index exists and the app is not shutting down; 503 otherwise.
+ *
+ * Both bodies include the span exporters' queue depth, dropped spans and last
+ * successful export. Their own Elasticsearch calls are not traced.
+ *
+ * @param {object} options
+ * @param {import('@elastic/elasticsearch').Client} options.client
+ * @param {string} options.index
+ * @param {ReturnType<import('./logger').createLogger>} options.logger
+ * @param {() => object[]} [options.telemetryStatus] one status per span exporter; left out when the exporters are not ours to inspect
+ * @param {NodeJS.ProcessEnv} [options.env]
+ */
+const createHealthChecks = ({ client, index, logger, telemetryStatus, env = process.env }) => {
+  const retryMillis = parseInt(env.INDEX_SETUP_RETRY_MS || DEFAULT_RETRY_MILLIS, 10);
+  const startTime = Date.now();
+  let indexSetup = { status: 'pending', attempts: 0 };
+  let shuttingDown = false;
+
+  /**
+   * Runs `setup` until it succeeds, every INDEX_SETUP_RETRY_MS (default 5s).
+   *
+   * @param {() => Promise<void>} setup
+   * @returns {Promise<void>} resolves once the setup has succeeded
+   */
+  const runIndexSetup = (setup) => new Promise((resolve) => {
+    const attempt = async () => {
+      const attempts = indexSetup.attempts + 1;
+      try {
+        await setup();
+        indexSetup = { status: 'ok', attempts, completed_at: new Date().toISOString() };
+        resolve();
+      } catch (error) {
+        indexSetup = { status: 'failed', attempts, error: error.message };
+        logger.error('Index setup failed, retrying', { error, 'index_setup.attempts': attempts, 'index_setup.retry_in_ms': retryMillis });
+        setTimeout(attempt, retryMillis).unref();
+      }
+    };
+    attempt();
+  });
+
+  const describeTelemetry = () => {
+    if (!telemetryStatus) {
+      return { status: 'unmonitored' };
+    }
+    const exporters = telemetryStatus();
+    return {
+      status: exporters.some((exporter) => exporter.status !== 'ok') ? 'degraded' : 'ok',
+      exporters
+    };
+  };
+
+  const checkStorage = async () => {
+    const checkStart = Date.now();
+    try {
+      await client.ping({}, CHECK_OPTIONS);
+      const exists = await client.indices.exists({ index }, CHECK_OPTIONS);
+      return {
+        elasticsearch: { status: 'ok', latency_ms: Date.now() - checkStart },
+        index: { status: exists ? 'ok' : 'missing', name: index }
+      };
+    } catch (error) {
+      return {
+        elasticsearch: { status: 'failed', latency_ms: Date.now() - checkStart, error: error.message },
+        index: { status: 'unknown', name: index }
+      };
+    }
+  };
+
+  const liveness = (req, res) => {
+    const telemetry = describeTelemetry();
+    res.set('Cache-Control', 'no-store').json({
+      status: telemetry.status === 'degraded' ? 'degraded' : 'ok',
+      uptime_seconds: Math.round((Date.now() - startTime) / 1000),
+      index_setup: indexSetup,
+      telemetry
+    });
+  };
+
+  const readiness = async (req, res, next) => {
+    try {
+      const storage = await context.with(suppressTracing(context.active()), checkStorage);
+      const checks = {
+        shutdown: { status: shuttingDown ? 'shutting_down' : 'ok' },
+        index_setup: indexSetup,
+        ...storage
+      };
+      const ready = Object.values(checks).every((check) => check.status === 'ok');
+      res.status(ready ? 200 : 503).set('Cache-Control', 'no-store').json({
+        status: ready ? 'ready' : 'not_ready',
+        checks,
+        telemetry: describeTelemetry()
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Todo routes answer 503 instead of failing on a missing index until the setup is done
+  const requireIndex = (req, res, next) => {
+    if (indexSetup.status === 'ok') {
+      return next();
+    }
+    next(new ServiceUnavailableError('The todo index is not set up yet, try again later'));
+  };
+
+  return {
+    runIndexSetup,
+    liveness,
+    readiness,
+    requireIndex,
+    markShuttingDown: () => { shuttingDown = true; }
+  };
+};
+
+module.exports = { createHealthChecks, isHealthCheckRequest };
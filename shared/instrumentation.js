@@ -0,0 +1,107 @@
+const { trace, context, SpanStatusCode, SpanKind, INVALID_SPAN_CONTEXT } = require('@opentelemetry/api');
+const { toHttpError } = require('./errors');
+
+// Handed to the function when no span is started, so it can set attributes regardless
+const NON_RECORDING_SPAN = trace.wrapSpanContext(INVALID_SPAN_CONTEXT);
+
+/**
+ * Creates the span helpers used by the todo app.
+ *
+ * @param {object} options
+ * @param {import('@opentelemetry/api').Tracer} options.tracer tracer the spans are started on
+ * @param {ReturnType<import('./logger').createLogger>} options.logger receives a record when a span starts and ends
+ * @param {import('@opentelemetry/api').Histogram} [options.operationDuration] histogram that receives durations in ms
+ * @param {boolean} [options.spans] false to only record durations, and leave the spans to
+ *   the automatic instrumentations; the function then gets a span that records nothing
+ */
+const createInstrumentation = ({ tracer, logger, operationDuration, spans = true }) => {
+  // Returns the function that records the time since it was created under `operation`,
+  // in `recordContext` so an exemplar of the recording points at the operation's span
+  const startTimer = (operation, recordContext) => {
+    const startTime = Date.now();
+    return (result) => {
+      if (operation && operationDuration) {
+        operationDuration.record(Date.now() - startTime, { operation, result }, recordContext);
+      }
+    };
+  };
+
+  /**
+   * Runs `fn` inside a new span that is the active context for everything `fn` awaits.
+   * The span is ended, its status set and any error recorded here, so callers only
+   * deal with attributes and events. Errors get an `error.type` attribute; client
+   * errors (4xx, see shared/errors.js) only mark CLIENT spans as failed. Without
+   * `spans`, `fn` runs in the current context and only its duration is recorded.
+   *
+   * @param {string} name span name
+   * @param {object} [options]
+   * @param {import('@opentelemetry/api').SpanKind} [options.kind] defaults to INTERNAL
+   * @param {import('@opentelemetry/api').Attributes} [options.attributes] attributes set at start
+   * @param {string} [options.operation] when set, the duration is recorded into `operationDuration` under this name
+   * @param {(span: import('@opentelemetry/api').Span) => Promise<*>} fn
+   */
+  const withSpan = async (name, options, fn) => {
+    const { kind = SpanKind.INTERNAL, attributes, operation } = options || {};
+    if (!spans) return withoutSpan(operation, fn);
+
+    const span = tracer.startSpan(name, { kind, attributes });
+    const activeContext = trace.setSpan(context.active(), span);
+
+    // Logged with the span active so the records carry its trace_id and span_id
+    const log = (level, message, logAttributes) => context.with(activeContext, () => logger[level](message, {
+      'span.name': name,
+      ...logAttributes
+    }));
+    log('debug', 'Span started');
+
+    const startTime = Date.now();
+    const recordDuration = startTimer(operation, activeContext);
+
+    try {
+      const result = await context.with(activeContext, () => fn(span));
+      recordDuration('success');
+      span.setStatus({ code: SpanStatusCode.OK });
+      log('debug', 'Span completed', { duration_ms: Date.now() - startTime });
+      return result;
+    } catch (error) {
+      const httpError = toHttpError(error);
+      span.setAttribute('error.type', httpError.code);
+      if (kind === SpanKind.SERVER) {
+        span.setAttribute('http.response.status_code', httpError.statusCode);
+      }
+
+      // A rejected request is not a failure of this server, so SERVER and INTERNAL
+      // spans keep an unset status for 4xx; CLIENT spans always mark the call failed
+      if (httpError.isClientError && kind !== SpanKind.CLIENT) {
+        recordDuration('rejected');
+        span.addEvent('Request rejected', { 'error.message': error.message });
+        log('info', 'Span rejected', { duration_ms: Date.now() - startTime, 'error.message': error.message });
+        throw error;
+      }
+
+      recordDuration('error');
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      log('error', 'Span failed', { duration_ms: Date.now() - startTime, error });
+      throw error;
+    } finally {
+      span.end();
+    }
+  };
+
+  const withoutSpan = async (operation, fn) => {
+    const recordDuration = startTimer(operation);
+    try {
+      const result = await fn(NON_RECORDING_SPAN);
+      recordDuration('success');
+      return result;
+    } catch (error) {
+      recordDuration(toHttpError(error).isClientError ? 'rejected' : 'error');
+      throw error;
+    }
+  };
+
+  return { withSpan };
+};
+
+module.exports = { createInstrumentation };
@@ -0,0 +1,75 @@
+const { trace } = require('@opentelemetry/api');
+const { logs, SeverityNumber } = require('@opentelemetry/api-logs');
+
+const LEVELS = {
+  debug: SeverityNumber.DEBUG,
+  info: SeverityNumber.INFO,
+  warn: SeverityNumber.WARN,
+  error: SeverityNumber.ERROR
+};
+// A threshold only, nothing is logged at it
+const SILENT = Infinity;
+
+// Errors are flattened into the exception.* attributes the log semantic conventions use
+const toAttributes = (attributes) => {
+  const { error, ...rest } = attributes || {};
+  if (!(error instanceof Error)) {
+    return error === undefined ? rest : { ...rest, error };
+  }
+  return {
+    ...rest,
+    'exception.type': error.name,
+    'exception.message': error.message,
+    'exception.stacktrace': error.stack
+  };
+};
+
+/**
+ * Creates a logger that writes one JSON object per line to `stream`, with the
+ * trace_id and span_id of the active span, so a log search can jump to the trace.
+ * Every record is also emitted through the global OpenTelemetry LoggerProvider,
+ * which ships it over OTLP when one is registered and does nothing otherwise.
+ *
+ * @param {object} options
+ * @param {string} options.serviceName
+ * @param {'debug'|'info'|'warn'|'error'|'silent'} [options.level] records below this level are dropped
+ * @param {NodeJS.WritableStream} [options.stream]
+ */
+const createLogger = ({ serviceName, level = 'info', stream = process.stdout }) => {
+  const threshold = level === 'silent' ? SILENT : LEVELS[level];
+  const otelLogger = logs.getLogger(serviceName);
+
+  const log = (severity, message, attributes) => {
+    if (LEVELS[severity] < threshold) return;
+
+    const recordAttributes = toAttributes(attributes);
+    const spanContext = trace.getActiveSpan()?.spanContext();
+
+    stream.write(`${JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: severity,
+      message,
+      'service.name': serviceName,
+      trace_id: spanContext?.traceId,
+      span_id: spanContext?.spanId,
+      ...recordAttributes
+    })}\n`);
+
+    // The SDK takes the trace context from the active context itself
+    otelLogger.emit({
+      severityNumber: LEVELS[severity],
+      severityText: severity.toUpperCase(),
+      body: message,
+      attributes: recordAttributes
+    });
+  };
+
+  return {
+    debug: (message, attributes) => log('debug', message, attributes),
+    info: (message, attributes) => log('info', message, attributes),
+    warn: (message, attributes) => log('warn', message, attributes),
+    error: (message, attributes) => log('error', message, attributes)
+  };
+};
+
+module.exports = { createLogger };
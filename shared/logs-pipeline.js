@@ -0,0 +1,39 @@
+const { LoggerProvider, BatchLogRecordProcessor } = require('@opentelemetry/sdk-logs');
+const { OTLPLogExporter } = require('@opentelemetry/exporter-logs-otlp-http');
+const { createRedactor } = require('./redaction');
+
+/**
+ * Builds a LoggerProvider that exports log records over OTLP, or returns undefined
+ * when `config.logs.exporters` does not include `otlp`. Records written with
+ * `shared/logger.js` reach it once it is registered as the global provider. Their
+ * attributes go through `config.redaction` before export; stdout keeps them as is.
+ *
+ * @param {ReturnType<import('./config').loadTelemetryConfig>} config
+ * @param {object} options
+ * @param {import('@opentelemetry/resources').IResource} options.resource
+ * @returns {LoggerProvider|undefined}
+ */
+const createLoggerProvider = (config, { resource }) => {
+  if (!config.logs.exporters.includes('otlp')) {
+    return undefined;
+  }
+
+  const loggerProvider = new LoggerProvider({ resource });
+  const redact = createRedactor(config.redaction);
+  // Processors run in order and records stay writable until the last one is done
+  loggerProvider.addLogRecordProcessor({
+    onEmit: (logRecord) => {
+      logRecord.attributes = redact(logRecord.attributes);
+    },
+    forceFlush: () => Promise.resolve(),
+    shutdown: () => Promise.resolve()
+  });
+  loggerProvider.addLogRecordProcessor(new BatchLogRecordProcessor(new OTLPLogExporter({
+    url: config.logs.endpoint,
+    headers: config.logs.headers,
+    timeoutMillis: config.logs.timeoutMillis
+  })));
+  return loggerProvider;
+};
+
+module.exports = { createLoggerProvider };
@@ -0,0 +1,65 @@
+const {
+  PeriodicExportingMetricReader,
+  ConsoleMetricExporter,
+  ExplicitBucketHistogramAggregation,
+  View
+} = require('@opentelemetry/sdk-metrics');
+const {
+  ExemplarStore,
+  ExemplarMeterProvider,
+  ExemplarOTLPMetricExporter,
+  OpenMetricsPrometheusExporter
+} = require('./exemplars');
+
+const createMetricReader = (name, metrics, exemplars) => {
+  if (name === 'prometheus') {
+    // Pull based: starts its own HTTP server that Prometheus scrapes
+    return new OpenMetricsPrometheusExporter({
+      host: metrics.prometheus.host,
+      port: metrics.prometheus.port,
+      endpoint: metrics.prometheus.endpoint
+    }, exemplars);
+  }
+
+  const exporter = name === 'console'
+    ? new ConsoleMetricExporter()
+    : new ExemplarOTLPMetricExporter({
+      url: metrics.endpoint,
+      headers: metrics.headers,
+      timeoutMillis: metrics.timeoutMillis
+    }, exemplars);
+
+  return new PeriodicExportingMetricReader({
+    exporter,
+    exportIntervalMillis: metrics.exportIntervalMillis,
+    exportTimeoutMillis: metrics.exportTimeoutMillis
+  });
+};
+
+/**
+ * Builds a MeterProvider with one reader per exporter in `config.metrics.exporters`.
+ * Histograms named in `durationHistograms` record milliseconds and use the bucket
+ * boundaries from `config.metrics.durationBuckets`. Their recordings inside a sampled
+ * span are kept as exemplars, which the OTLP exporter sends with the histogram and
+ * the Prometheus endpoint serves in the OpenMetrics format.
+ *
+ * @param {ReturnType<import('./config').loadTelemetryConfig>} config
+ * @param {object} options
+ * @param {import('@opentelemetry/resources').IResource} options.resource
+ * @param {string[]} [options.durationHistograms]
+ * @returns {import('@opentelemetry/sdk-metrics').MeterProvider}
+ */
+const createMeterProvider = (config, { resource, durationHistograms = [] }) => {
+  const exemplars = new ExemplarStore(config.metrics.durationBuckets);
+
+  return new ExemplarMeterProvider({
+    resource,
+    readers: config.metrics.exporters.map((name) => createMetricReader(name, config.metrics, exemplars)),
+    views: durationHistograms.map((instrumentName) => new View({
+      instrumentName,
+      aggregation: new ExplicitBucketHistogramAggregation(config.metrics.durationBuckets)
+    }))
+  }, { exemplars, histograms: durationHistograms });
+};
+
+module.exports = { createMeterProvider };
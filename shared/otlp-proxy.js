@@ -0,0 +1,205 @@
+const { context } = require('@opentelemetry/api');
+const { suppressTracing } = require('@opentelemetry/core');
+const { createRedactor } = require('./redaction');
+const { redactSearchParameters } = require('./todo-search');
+const { HttpError } = require('./errors');
+
+const DEFAULT_MAX_BODY_BYTES = 512 * 1024;
+
+// Reads the request body up to `limit` bytes. The route is mounted before the
+// app's JSON parser so the limit here is the only one that applies.
+const readBody = (req, limit) => new Promise((resolve, reject) => {
+  const declared = parseInt(req.get('Content-Length'), 10);
+  if (declared > limit) {
+    req.resume();
+    return reject(new HttpError(413, 'payload_too_large', `Body is larger than ${limit} bytes`));
+  }
+
+  const chunks = [];
+  let size = 0;
+  const onData = (chunk) => {
+    size += chunk.length;
+    if (size > limit) {
+      // Keep draining so the 413 can still be written to the socket
+      req.off('data', onData);
+      req.resume();
+      reject(new HttpError(413, 'payload_too_large', `Body is larger than ${limit} bytes`));
+      return;
+    }
+    chunks.push(chunk);
+  };
+  req.on('data', onData);
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+const parseRequest = (body) => {
+  let request;
+  try {
+    request = JSON.parse(body.toString('utf8'));
+  } catch (error) {
+    throw new HttpError(400, 'invalid_json', `Body is not valid JSON: ${error.message}`);
+  }
+  if (!request || !Array.isArray(request.resourceSpans)) {
+    throw new HttpError(400, 'invalid_otlp_request', 'Body must be an OTLP ExportTraceServiceRequest with a resourceSpans array');
+  }
+  return request;
+};
+
+const countSpans = (request) => request.resourceSpans.reduce((total, resourceSpans) => total
+  + (resourceSpans.scopeSpans || []).reduce((count, scopeSpans) => count + (scopeSpans.spans || []).length, 0), 0);
+
+// Attributes the server knows better than the browser replace whatever it sent
+const enrichResources = (request, attributes) => {
+  const enriched = Object.entries(attributes)
+    .filter(([, value]) => value)
+    .map(([key, value]) => ({ key, value: { stringValue: String(value) } }));
+
+  request.resourceSpans.forEach((resourceSpans) => {
+    const resource = resourceSpans.resource || { attributes: [] };
+    resource.attributes = (resource.attributes || [])
+      .filter(({ key }) => !(key in attributes))
+      .concat(enriched);
+    resourceSpans.resource = resource;
+  });
+};
+
+// Attributes the browser instrumentations put the page and fetch URLs in
+const URL_ATTRIBUTES = ['http.url', 'http.target', 'url.full', 'url.query', 'http.referer'];
+
+// The plain value of an OTLP/JSON AnyValue. Values the redaction policy has no
+// action for, such as key-value lists, are compared as their JSON text
+const fromAnyValue = (value = {}) => {
+  if ('stringValue' in value) return value.stringValue;
+  if ('boolValue' in value) return value.boolValue;
+  if ('intValue' in value) return Number(value.intValue);
+  if ('doubleValue' in value) return value.doubleValue;
+  if (value.arrayValue) return (value.arrayValue.values || []).map(fromAnyValue);
+  return JSON.stringify(value);
+};
+
+// The policy only ever turns values into strings (`hash`) and integers (`length`)
+const toAnyValue = (value) => {
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(toAnyValue) } };
+  if (typeof value === 'number') return Number.isInteger(value) ? { intValue: value } : { doubleValue: value };
+  if (typeof value === 'boolean') return { boolValue: value };
+  return { stringValue: String(value) };
+};
+
+// Runs a list of OTLP/JSON attributes through `redact`, keeping the ones it leaves
+// unchanged as they were sent
+const redactAttributes = (attributes, redact) => (attributes || []).flatMap(({ key, value }) => {
+  const original = fromAnyValue(value);
+  const plain = URL_ATTRIBUTES.includes(key) && typeof original === 'string' ? redactSearchParameters(original) : original;
+  const redacted = redact({ [key]: plain });
+  if (!(key in redacted)) return [];
+  return [{ key, value: redacted[key] === original ? value : toAnyValue(redacted[key]) }];
+});
+
+// The same policy the server's own spans are exported with
+const redactRequest = (request, redact) => {
+  request.resourceSpans.forEach((resourceSpans) => {
+    if (resourceSpans.resource) {
+      resourceSpans.resource.attributes = redactAttributes(resourceSpans.resource.attributes, redact);
+    }
+    (resourceSpans.scopeSpans || []).forEach((scopeSpans) => {
+      (scopeSpans.spans || []).forEach((span) => {
+        span.attributes = redactAttributes(span.attributes, redact);
+        (span.events || []).forEach((event) => {
+          event.attributes = redactAttributes(event.attributes, redact);
+        });
+      });
+    });
+  });
+};
+
+const isAllowedOrigin = (req, allowedOrigins) => {
+  const origin = req.get('Origin');
+  if (!origin) return true;
+  if (allowedOrigins.includes(origin)) return true;
+  try {
+    return new URL(origin).host === req.get('Host');
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Creates the Express handler for `POST /otel/v1/traces`, which lets the browser
+ * export spans without holding any credentials. Requests must be OTLP/HTTP JSON from
+ * the app's own origin (or one listed in OTLP_PROXY_ALLOWED_ORIGINS). The user agent
+ * is added to each resource, resource, span and event attributes go through the
+ * redaction policy with `q` and `cursor` replaced in URLs, and the request is
+ * forwarded to the configured OTLP traces endpoint with the server's headers.
+ * Rejected requests are answered with the `{ error: { status, code, message } }`
+ * envelope of the app's other routes.
+ *
+ * Mount it before any body parser.
+ *
+ * @param {object} options
+ * @param {ReturnType<import('./config').loadTelemetryConfig>} options.config
+ * @param {ReturnType<import('./logger').createLogger>} options.logger
+ * @param {NodeJS.ProcessEnv} [options.env]
+ */
+const createOtlpProxy = ({ config, logger, env = process.env }) => {
+  const maxBodyBytes = parseInt(env.OTLP_PROXY_MAX_BYTES || DEFAULT_MAX_BODY_BYTES, 10);
+  const allowedOrigins = (env.OTLP_PROXY_ALLOWED_ORIGINS || '').split(',').map((origin) => origin.trim()).filter(Boolean);
+  const forwarding = config.traces.exporters.includes('otlp');
+  const redact = createRedactor(config.redaction);
+
+  const forward = (request) => context.with(suppressTracing(context.active()), () => fetch(config.traces.endpoint, {
+    method: 'POST',
+    headers: { ...config.traces.headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify(request),
+    signal: AbortSignal.timeout(config.traces.timeoutMillis)
+  }));
+
+  return async (req, res) => {
+    try {
+      if (!isAllowedOrigin(req, allowedOrigins)) {
+        throw new HttpError(403, 'origin_not_allowed', `Origin ${req.get('Origin')} may not send telemetry`);
+      }
+      if (!req.is('application/json')) {
+        throw new HttpError(415, 'unsupported_media_type', 'Content-Type must be application/json');
+      }
+      if (req.get('Content-Encoding') && req.get('Content-Encoding') !== 'identity') {
+        throw new HttpError(415, 'unsupported_media_type', `Content-Encoding ${req.get('Content-Encoding')} is not supported`);
+      }
+
+      const request = parseRequest(await readBody(req, maxBodyBytes));
+      const spanCount = countSpans(request);
+
+      if (!forwarding) {
+        // Still a success for the browser exporter, which would otherwise retry
+        return res.json({
+          partialSuccess: {
+            rejectedSpans: spanCount,
+            errorMessage: 'The server has no OTLP exporter configured; browser spans are dropped'
+          }
+        });
+      }
+
+      // The client IP is left out, as the redaction policy denies it on the server's
+      // own spans; the user agent is hashed by default
+      enrichResources(request, { 'user_agent.original': req.get('User-Agent') });
+      redactRequest(request, redact);
+
+      const response = await forward(request);
+      if (!response.ok) {
+        throw new HttpError(502, 'collector_failed', `Collector responded with ${response.status}`);
+      }
+
+      logger.debug('Forwarded browser spans', { 'otlp.spans.count': spanCount });
+      res.status(200).json({});
+    } catch (error) {
+      // Anything else is the collector being unreachable or too slow
+      const httpError = error instanceof HttpError
+        ? error
+        : new HttpError(502, 'collector_unavailable', 'The collector could not be reached');
+      logger.warn('Browser telemetry rejected', { 'http.response.status_code': httpError.statusCode, error });
+      res.status(httpError.statusCode).json(httpError);
+    }
+  };
+};
+
+module.exports = { createOtlpProxy };
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const { globToRegExp } = require('./glob');
+
+/**
+ * Builds the function that applies a redaction policy to an attribute map. The first
+ * rule whose key pattern matches decides what happens to an attribute:
+ *
+ * - `allow` keeps the value
+ * - `deny` drops the attribute
+ * - `hash` replaces the value with `sha256:` and the first 16 hex digits of its
+ *   HMAC-SHA256 under `hashKey`, or its plain SHA-256 without a key, so equal
+ *   values can still be grouped
+ * - `length` replaces the value with its length in characters
+ *
+ * Attributes no rule matches get `defaultAction`.
+ *
+ * @param {ReturnType<import('./config').loadTelemetryConfig>['redaction']} redaction
+ * @returns {(attributes: import('@opentelemetry/api').Attributes) => import('@opentelemetry/api').Attributes}
+ */
+const createRedactor = ({ rules, defaultAction, hashKey }) => {
+  const matchers = rules.map((rule) => ({ ...rule, matcher: globToRegExp(rule.pattern) }));
+  const actions = new Map();
+
+  // Attribute keys repeat from span to span, so each key is looked up once
+  const actionFor = (key) => {
+    if (!actions.has(key)) {
+      const rule = matchers.find(({ matcher }) => matcher.test(key));
+      actions.set(key, rule ? rule.action : defaultAction);
+    }
+    return actions.get(key);
+  };
+
+  const hash = (value) => {
+    const digest = hashKey
+      ? crypto.createHmac('sha256', hashKey).update(String(value)).digest('hex')
+      : crypto.createHash('sha256').update(String(value)).digest('hex');
+    return `sha256:${digest.slice(0, 16)}`;
+  };
+
+  const apply = (action, value) => {
+    switch (action) {
+      case 'hash':
+        return Array.isArray(value) ? value.map(hash) : hash(value);
+      case 'length':
+        return Array.isArray(value) ? value.map((item) => String(item).length) : String(value).length;
+      default:
+        return value;
+    }
+  };
+
+  return (attributes) => {
+    const redacted = {};
+    Object.entries(attributes || {}).forEach(([key, value]) => {
+      const action = actionFor(key);
+      if (action === 'deny' || value === undefined) return;
+      redacted[key] = value === null ? value : apply(action, value);
+    });
+    return redacted;
+  };
+};
+
+/**
+ * Hands `processor` a copy of each ended span whose attributes and event attributes
+ * went through `redact`, so exporters never see the raw values. The span itself is
+ * left alone. Spans are redacted once, however many processors share `redact`.
+ */
+class RedactingSpanProcessor {
+  /**
+   * @param {import('@opentelemetry/sdk-trace-base').SpanProcessor} processor
+   * @param {ReturnType<createRedactor>} redact
+   * @param {WeakMap<object, object>} [cache]
+   */
+  constructor(processor, redact, cache = new WeakMap()) {
+    this.processor = processor;
+    this.redact = redact;
+    this.cache = cache;
+  }
+
+  onStart(span, parentContext) {
+    this.processor.onStart(span, parentContext);
+  }
+
+  onEnd(span) {
+    if (!this.cache.has(span)) {
+      // Everything else, spanContext() included, is read through the prototype
+      const redacted = Object.create(span, {
+        attributes: { value: this.redact(span.attributes), enumerable: true },
+        events: {
+          value: span.events.map((event) => (event.attributes
+            ? { ...event, attributes: this.redact(event.attributes) }
+            : event)),
+          enumerable: true
+        }
+      });
+      this.cache.set(span, redacted);
+    }
+    this.processor.onEnd(this.cache.get(span));
+  }
+
+  forceFlush() {
+    return this.processor.forceFlush();
+  }
+
+  shutdown() {
+    return this.processor.shutdown();
+  }
+}
+
+module.exports = { createRedactor, RedactingSpanProcessor };
@@ -0,0 +1,128 @@
+const { trace, isSpanContextValid, SpanKind, TraceFlags } = require('@opentelemetry/api');
+const {
+  AlwaysOffSampler,
+  AlwaysOnSampler,
+  ParentBasedSampler,
+  SamplingDecision,
+  TraceIdRatioBasedSampler
+} = require('@opentelemetry/sdk-trace-base');
+const { globToRegExp } = require('./glob');
+
+// HTTP server spans are matched on their method and path, which the HTTP
+// instrumentation sets before sampling under both the old and the stable names
+const describeRequest = (spanKind, spanName, attributes) => {
+  const method = attributes['http.request.method'] || attributes['http.method'];
+  const path = attributes['url.path'] || (attributes['http.target'] || '').split('?')[0];
+  if (spanKind === SpanKind.SERVER && method && path) {
+    return { method: String(method).toUpperCase(), target: path };
+  }
+  return { method: undefined, target: spanName };
+};
+
+/**
+ * Samples root spans by the first rule that matches them and follows the parent's
+ * decision everywhere else, so a trace is always kept or dropped as a whole.
+ *
+ * A rule with a path pattern (`/static/*`) matches incoming requests on their URL
+ * path, any other pattern (`app.shutdown`) matches the span name of root spans that
+ * are not requests. A method limits the rule to requests with that method. Root spans
+ * no rule matches are sampled at `defaultRatio`.
+ *
+ * Every sampled span records why in `sampling.reason` (`rule`, `default`, `parent`
+ * or `remote_parent`), with the matching `sampling.rule` and its `sampling.ratio`,
+ * which children copy from a local parent. The ratio tells how many requests one
+ * sampled trace stands for.
+ */
+class RuleBasedSampler {
+  /**
+   * @param {object} options
+   * @param {{ method?: string, pattern: string, ratio: number, source: string }[]} options.rules
+   * @param {number} options.defaultRatio
+   */
+  constructor({ rules, defaultRatio }) {
+    this.rules = rules.map((rule) => ({
+      ...rule,
+      matcher: globToRegExp(rule.pattern),
+      sampler: new TraceIdRatioBasedSampler(rule.ratio)
+    }));
+    this.defaultRatio = defaultRatio;
+    this.defaultSampler = new TraceIdRatioBasedSampler(defaultRatio);
+  }
+
+  shouldSample(context, traceId, spanName, spanKind, attributes) {
+    const parentContext = trace.getSpanContext(context);
+    if (parentContext && isSpanContextValid(parentContext)) {
+      return this.followParent(context, parentContext);
+    }
+
+    const { method, target } = describeRequest(spanKind, spanName, attributes);
+    const rule = this.rules.find((candidate) => (!candidate.method || candidate.method === method)
+      && (candidate.pattern.startsWith('/') === Boolean(method) || candidate.pattern === '*')
+      && candidate.matcher.test(target));
+    const { decision } = (rule ? rule.sampler : this.defaultSampler).shouldSample(context, traceId);
+
+    return {
+      decision,
+      attributes: decision === SamplingDecision.RECORD_AND_SAMPLED ? {
+        'sampling.reason': rule ? 'rule' : 'default',
+        'sampling.rule': rule ? rule.source : 'default',
+        'sampling.ratio': rule ? rule.ratio : this.defaultRatio
+      } : undefined
+    };
+  }
+
+  followParent(context, parentContext) {
+    if ((parentContext.traceFlags & TraceFlags.SAMPLED) === 0) {
+      return { decision: SamplingDecision.NOT_RECORD };
+    }
+    if (parentContext.isRemote) {
+      return { decision: SamplingDecision.RECORD_AND_SAMPLED, attributes: { 'sampling.reason': 'remote_parent' } };
+    }
+
+    // Attributes are readable on SDK spans only
+    const parentAttributes = trace.getSpan(context).attributes || {};
+    return {
+      decision: SamplingDecision.RECORD_AND_SAMPLED,
+      attributes: {
+        'sampling.reason': 'parent',
+        ...(parentAttributes['sampling.rule'] !== undefined ? {
+          'sampling.rule': parentAttributes['sampling.rule'],
+          'sampling.ratio': parentAttributes['sampling.ratio']
+        } : {})
+      }
+    };
+  }
+
+  toString() {
+    return `RuleBasedSampler{rules=${this.rules.map((rule) => `${rule.source}=${rule.ratio}`).join(', ')}, default=${this.defaultRatio}}`;
+  }
+}
+
+/**
+ * Builds the sampler for `config.traces.sampler`: the rule-based sampler for
+ * `parentbased_rules`, or the SDK sampler of the same name for the other values of
+ * OTEL_TRACES_SAMPLER.
+ *
+ * @param {ReturnType<import('./config').loadTelemetryConfig>['traces']['sampler']} sampler
+ * @returns {import('@opentelemetry/sdk-trace-base').Sampler}
+ */
+const createSampler = ({ name, ratio, rules }) => {
+  switch (name) {
+    case 'always_on':
+      return new AlwaysOnSampler();
+    case 'always_off':
+      return new AlwaysOffSampler();
+    case 'traceidratio':
+      return new TraceIdRatioBasedSampler(ratio);
+    case 'parentbased_always_off':
+      return new ParentBasedSampler({ root: new AlwaysOffSampler() });
+    case 'parentbased_traceidratio':
+      return new ParentBasedSampler({ root: new TraceIdRatioBasedSampler(ratio) });
+    case 'parentbased_rules':
+      return new RuleBasedSampler({ rules, defaultRatio: ratio });
+    default:
+      return new ParentBasedSampler({ root: new AlwaysOnSampler() });
+  }
+};
+
+module.exports = { createSampler, RuleBasedSampler };
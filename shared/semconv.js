@@ -0,0 +1,180 @@
+const { SpanKind } = require('@opentelemetry/api');
+
+// Names from the semantic conventions before HTTP and database attributes were
+// declared stable, each with the name that replaced it. HTTP server and client spans
+// used `net.peer.*` for different ends of the connection, so they are mapped apart.
+const HTTP_SERVER_RENAMES = [
+  ['http.method', 'http.request.method'],
+  ['http.status_code', 'http.response.status_code'],
+  ['http.scheme', 'url.scheme'],
+  ['http.flavor', 'network.protocol.version'],
+  ['http.user_agent', 'user_agent.original'],
+  ['http.client_ip', 'client.address'],
+  ['net.host.name', 'server.address'],
+  ['net.host.port', 'server.port'],
+  ['net.host.ip', 'network.local.address'],
+  ['net.peer.ip', 'network.peer.address'],
+  ['net.peer.port', 'network.peer.port']
+];
+const HTTP_CLIENT_RENAMES = [
+  ['http.method', 'http.request.method'],
+  ['http.status_code', 'http.response.status_code'],
+  ['http.flavor', 'network.protocol.version'],
+  ['http.url', 'url.full'],
+  ['net.peer.name', 'server.address'],
+  ['net.peer.port', 'server.port'],
+  ['net.peer.ip', 'network.peer.address']
+];
+// Old names on server spans that the stable ones cover without a direct replacement
+const HTTP_SERVER_REMOVED = ['http.url', 'http.host', 'net.transport'];
+const DATABASE_RENAMES = [
+  ['db.operation', 'db.operation.name'],
+  ['db.name', 'db.namespace'],
+  ['db.statement', 'db.query.text']
+];
+
+/**
+ * Copies each value to its stable name, and keeps the old name only in `dup` mode.
+ * A value already under the stable name wins, so attributes set either way end up
+ * the same.
+ */
+const rename = (attributes, renames, mode) => {
+  renames.forEach(([old, stable]) => {
+    const value = attributes[stable] !== undefined ? attributes[stable] : attributes[old];
+    if (value === undefined) return;
+    attributes[stable] = value;
+    if (mode === 'dup') {
+      attributes[old] = value;
+    } else {
+      delete attributes[old];
+    }
+  });
+};
+
+// `http.target` is the path and query string together; the stable names split them
+const renameTarget = (attributes, mode) => {
+  const target = attributes['http.target'];
+  if (typeof target === 'string' && attributes['url.path'] === undefined) {
+    const [pathPart, ...query] = target.split('?');
+    attributes['url.path'] = pathPart;
+    if (query.length) attributes['url.query'] = query.join('?');
+  }
+  if (mode === 'dup' && attributes['url.path'] !== undefined) {
+    attributes['http.target'] = attributes['url.query'] !== undefined
+      ? `${attributes['url.path']}?${attributes['url.query']}`
+      : attributes['url.path'];
+  } else {
+    delete attributes['http.target'];
+  }
+};
+
+const isHttpSpan = (span) => (span.kind === SpanKind.SERVER || span.kind === SpanKind.CLIENT)
+  && (span.attributes['http.method'] !== undefined || span.attributes['http.request.method'] !== undefined);
+
+/**
+ * Builds the function that moves the attributes of an ended span to the stable HTTP
+ * and database semantic conventions, for the instrumentations that still set the
+ * old names. With `dup` for a domain, both names are kept.
+ *
+ * @param {ReturnType<import('./config').loadTelemetryConfig>['semconv']} semconv
+ * @returns {(span: import('@opentelemetry/sdk-trace-base').ReadableSpan) => import('@opentelemetry/api').Attributes}
+ */
+const createAttributeTranslator = (semconv) => (span) => {
+  const attributes = { ...span.attributes };
+  if (isHttpSpan(span)) {
+    if (span.kind === SpanKind.SERVER) {
+      rename(attributes, HTTP_SERVER_RENAMES, semconv.http);
+      renameTarget(attributes, semconv.http);
+      if (semconv.http !== 'dup') HTTP_SERVER_REMOVED.forEach((key) => delete attributes[key]);
+    } else {
+      rename(attributes, HTTP_CLIENT_RENAMES, semconv.http);
+    }
+  }
+  if (attributes['db.system'] !== undefined) {
+    rename(attributes, DATABASE_RENAMES, semconv.database);
+  }
+  return attributes;
+};
+
+/**
+ * Hands `processor` a copy of each ended span with its attributes translated to the
+ * stable semantic conventions. Works like the RedactingSpanProcessor, and comes
+ * before it so redaction rules see the names that are exported.
+ */
+class SemanticConventionsSpanProcessor {
+  /**
+   * @param {import('@opentelemetry/sdk-trace-base').SpanProcessor} processor
+   * @param {ReturnType<createAttributeTranslator>} translate
+   * @param {WeakMap<object, object>} [cache]
+   */
+  constructor(processor, translate, cache = new WeakMap()) {
+    this.processor = processor;
+    this.translate = translate;
+    this.cache = cache;
+  }
+
+  onStart(span, parentContext) {
+    this.processor.onStart(span, parentContext);
+  }
+
+  onEnd(span) {
+    if (!this.cache.has(span)) {
+      this.cache.set(span, Object.create(span, {
+        attributes: { value: this.translate(span), enumerable: true }
+      }));
+    }
+    this.processor.onEnd(this.cache.get(span));
+  }
+
+  forceFlush() {
+    return this.processor.forceFlush();
+  }
+
+  shutdown() {
+    return this.processor.shutdown();
+  }
+}
+
+/**
+ * Attribute builders for the spans the apps start themselves. They set the stable
+ * names; in `dup` mode they also set the names the app used before, given by
+ * `legacyPrefix` (`manual.` in the hybrid app), so existing dashboards keep working.
+ *
+ * @param {ReturnType<import('./config').loadTelemetryConfig>['semconv']} semconv
+ * @param {{ legacyPrefix?: string }} [options]
+ */
+const createSemanticAttributes = (semconv, { legacyPrefix = '' } = {}) => ({
+  /**
+   * For a SERVER span wrapping an Express route.
+   *
+   * @param {import('express').Request} req
+   * @param {string} route the route template, e.g. `/delete/:id`
+   */
+  http: (req, route) => ({
+    'http.request.method': req.method,
+    'http.route': route,
+    'url.path': req.path,
+    ...(semconv.http === 'dup' ? {
+      [`${legacyPrefix}http.method`]: req.method,
+      [`${legacyPrefix}http.route`]: route
+    } : {})
+  }),
+
+  /**
+   * For a CLIENT span wrapping calls to Elasticsearch.
+   *
+   * @param {{ operation?: string, index: string }} call `operation` is the API name the
+   *   client uses for its own span, e.g. `search`
+   */
+  database: ({ operation, index }) => ({
+    'db.system': 'elasticsearch',
+    'db.collection.name': index,
+    ...(operation ? { 'db.operation.name': operation } : {}),
+    ...(semconv.database === 'dup' ? {
+      [`${legacyPrefix}elasticsearch.index`]: index,
+      ...(operation ? { 'db.operation': operation } : {})
+    } : {})
+  })
+});
+
+module.exports = { createAttributeTranslator, SemanticConventionsSpanProcessor, createSemanticAttributes };
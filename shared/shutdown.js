@@ -0,0 +1,142 @@
+const { trace, metrics, context, SpanStatusCode } = require('@opentelemetry/api');
+const { logs } = require('@opentelemetry/api-logs');
+
+const DEFAULT_TIMEOUT_MILLIS = 10000;
+// Exporters have their own timeouts; this only guards against one that never returns
+const FLUSH_TIMEOUT_MILLIS = 5000;
+const SIGNALS = ['SIGTERM', 'SIGINT'];
+
+const withTimeout = (promise, timeoutMillis) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMillis}ms`)), timeoutMillis);
+  Promise.resolve(promise).then(resolve, reject).finally(() => clearTimeout(timer));
+});
+
+/**
+ * Stops the app cleanly on SIGTERM and SIGINT: the server stops accepting
+ * connections, in-flight requests get up to SHUTDOWN_TIMEOUT_MS (default 10s) to
+ * finish, the storage client is closed and the telemetry providers are flushed and
+ * shut down, in that order. The shutdown is recorded as an `app.shutdown` span and
+ * logged, both before the providers go away so they are exported with the rest.
+ *
+ * A second signal while shutting down exits immediately.
+ *
+ * @param {object} options
+ * @param {import('http').Server} options.server
+ * @param {ReturnType<import('./logger').createLogger>} options.logger
+ * @param {import('@opentelemetry/api').Tracer} options.tracer
+ * @param {() => Promise<void>} options.shutdownTelemetry flushes and shuts down the providers
+ * @param {() => Promise<void>} [options.closeStorage]
+ * @param {() => void} [options.onShutdown] called as soon as a signal arrives, e.g. to fail readiness
+ * @param {NodeJS.ProcessEnv} [options.env]
+ * @returns {{ isShuttingDown: () => boolean, shutdown: (signal: string) => Promise<void> }}
+ */
+const registerGracefulShutdown = ({
+  server, logger, tracer, shutdownTelemetry, closeStorage = async () => {}, onShutdown = () => {}, env = process.env
+}) => {
+  const timeoutMillis = parseInt(env.SHUTDOWN_TIMEOUT_MS || DEFAULT_TIMEOUT_MILLIS, 10);
+  let shuttingDown = false;
+  let inFlight = 0;
+
+  server.on('request', (req, res) => {
+    inFlight += 1;
+    // Keep-alive connections are closed after the response instead of staying idle
+    if (shuttingDown) res.setHeader('Connection', 'close');
+    res.on('close', () => {
+      inFlight -= 1;
+      if (shuttingDown) server.closeIdleConnections();
+    });
+  });
+
+  // Resolves true once every connection has ended, false if the timeout came first
+  const drain = () => new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(false), timeoutMillis);
+    server.close(() => {
+      clearTimeout(timer);
+      resolve(true);
+    });
+  });
+
+  const shutdown = async (signal) => {
+    if (shuttingDown) {
+      logger.warn('Second signal received, exiting without waiting', { 'app.shutdown.signal': signal });
+      process.exit(1);
+    }
+    shuttingDown = true;
+    onShutdown();
+    const startTime = Date.now();
+    let exitCode = 0;
+
+    const span = tracer.startSpan('app.shutdown', {
+      attributes: {
+        'app.shutdown.signal': signal,
+        'app.shutdown.in_flight_requests': inFlight,
+        'app.shutdown.timeout_ms': timeoutMillis
+      }
+    });
+
+    // Active while draining and closing, so the log records and the storage client's
+    // own spans belong to the shutdown trace
+    await context.with(trace.setSpan(context.active(), span), async () => {
+      logger.info('Shutting down', { 'app.shutdown.signal': signal, 'app.shutdown.in_flight_requests': inFlight });
+
+      const drained = await drain();
+      span.setAttribute('app.shutdown.drained', drained);
+      if (drained) {
+        span.addEvent('Requests drained');
+      } else {
+        exitCode = 1;
+        span.addEvent('Drain timed out', { 'app.shutdown.in_flight_requests': inFlight });
+        logger.warn('Requests still in flight after the shutdown timeout, closing their connections', {
+          'app.shutdown.in_flight_requests': inFlight
+        });
+        server.closeAllConnections();
+      }
+
+      try {
+        await withTimeout(closeStorage(), FLUSH_TIMEOUT_MILLIS);
+        span.addEvent('Storage client closed');
+      } catch (error) {
+        exitCode = 1;
+        span.recordException(error);
+        logger.error('Could not close the storage client', { error });
+      }
+
+      span.setStatus({ code: exitCode === 0 ? SpanStatusCode.OK : SpanStatusCode.ERROR });
+      span.end();
+      logger.info('Shutdown complete, flushing telemetry', { duration_ms: Date.now() - startTime });
+    });
+
+    try {
+      await withTimeout(shutdownTelemetry(), FLUSH_TIMEOUT_MILLIS);
+    } catch (error) {
+      exitCode = 1;
+      // The providers are gone, so this only reaches stdout
+      logger.error('Could not flush telemetry', { error });
+    }
+
+    process.exit(exitCode);
+  };
+
+  SIGNALS.forEach((signal) => process.on(signal, () => shutdown(signal)));
+
+  return { isShuttingDown: () => shuttingDown, shutdown };
+};
+
+/**
+ * Shuts down whichever SDK providers are registered globally, for apps that do not
+ * build their own, like the automatic app under the Elastic distribution. The no-op
+ * providers left when nothing is registered are skipped.
+ */
+const shutdownGlobalTelemetry = () => {
+  const tracerProvider = trace.getTracerProvider();
+  const providers = [
+    tracerProvider.getDelegate ? tracerProvider.getDelegate() : tracerProvider,
+    metrics.getMeterProvider(),
+    logs.getLoggerProvider()
+  ];
+  return Promise.all(providers
+    .filter((provider) => typeof provider.shutdown === 'function')
+    .map((provider) => provider.shutdown()));
+};
+
+module.exports = { registerGracefulShutdown, shutdownGlobalTelemetry };
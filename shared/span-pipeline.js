@@ -0,0 +1,169 @@
+const { TraceFlags } = require('@opentelemetry/api');
+const { ExportResultCode } = require('@opentelemetry/core');
+const { BatchSpanProcessor, SimpleSpanProcessor, ConsoleSpanExporter } = require('@opentelemetry/sdk-trace-base');
+const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+const { FileSpanExporter } = require('./file-span-exporter');
+const { createRedactor, RedactingSpanProcessor } = require('./redaction');
+const { createAttributeTranslator, SemanticConventionsSpanProcessor } = require('./semconv');
+
+const createSpanExporter = (name, traces) => {
+  switch (name) {
+    case 'console':
+      return new ConsoleSpanExporter();
+    case 'file':
+      return new FileSpanExporter({ filePath: traces.filePath });
+    default:
+      return new OTLPTraceExporter({
+        url: traces.endpoint,
+        headers: traces.headers,
+        timeoutMillis: traces.timeoutMillis
+      });
+  }
+};
+
+// Counts the spans of one exporter as they move through its processor: accepted
+// into the queue, dropped because the queue was full, handed to the exporter, and
+// exported or failed
+class ExportStats {
+  constructor(exporter, processor, maxQueueSize) {
+    this.exporter = exporter;
+    this.processor = processor;
+    this.maxQueueSize = maxQueueSize;
+    this.accepted = 0;
+    this.dropped = 0;
+    this.handedOver = 0;
+    this.exported = 0;
+    this.failed = 0;
+    this.lastSuccessAt = undefined;
+    this.lastFailureAt = undefined;
+    this.lastError = undefined;
+  }
+
+  get queued() {
+    return this.accepted - this.handedOver;
+  }
+
+  toJSON() {
+    const failing = this.lastFailureAt !== undefined
+      && (this.lastSuccessAt === undefined || this.lastFailureAt > this.lastSuccessAt);
+    return {
+      exporter: this.exporter,
+      processor: this.processor,
+      status: failing ? 'failing' : 'ok',
+      queued: this.queued,
+      // A SimpleSpanProcessor has no queue
+      max_queue_size: Number.isFinite(this.maxQueueSize) ? this.maxQueueSize : undefined,
+      dropped: this.dropped,
+      exported: this.exported,
+      failed: this.failed,
+      last_success_at: this.lastSuccessAt && new Date(this.lastSuccessAt).toISOString(),
+      last_failure_at: this.lastFailureAt && new Date(this.lastFailureAt).toISOString(),
+      last_error: this.lastError
+    };
+  }
+}
+
+class MonitoredSpanExporter {
+  constructor(exporter, stats) {
+    this.exporter = exporter;
+    this.stats = stats;
+  }
+
+  export(spans, resultCallback) {
+    this.stats.handedOver += spans.length;
+    this.exporter.export(spans, (result) => {
+      if (result.code === ExportResultCode.SUCCESS) {
+        this.stats.exported += spans.length;
+        this.stats.lastSuccessAt = Date.now();
+      } else {
+        this.stats.failed += spans.length;
+        this.stats.lastFailureAt = Date.now();
+        this.stats.lastError = result.error ? result.error.message : 'Export failed';
+      }
+      resultCallback(result);
+    });
+  }
+
+  forceFlush() {
+    return this.exporter.forceFlush ? this.exporter.forceFlush() : Promise.resolve();
+  }
+
+  shutdown() {
+    return this.exporter.shutdown();
+  }
+}
+
+class MonitoredSpanProcessor {
+  constructor(processor, stats) {
+    this.processor = processor;
+    this.stats = stats;
+  }
+
+  onStart(span, parentContext) {
+    this.processor.onStart(span, parentContext);
+  }
+
+  onEnd(span) {
+    // The same checks the BatchSpanProcessor makes before it queues a span
+    if ((span.spanContext().traceFlags & TraceFlags.SAMPLED) !== 0) {
+      if (this.stats.queued >= this.stats.maxQueueSize) {
+        this.stats.dropped += 1;
+      } else {
+        this.stats.accepted += 1;
+      }
+    }
+    this.processor.onEnd(span);
+  }
+
+  forceFlush() {
+    return this.processor.forceFlush();
+  }
+
+  shutdown() {
+    return this.processor.shutdown();
+  }
+
+  /**
+   * @returns {ReturnType<ExportStats['toJSON']>} queue depth, drops and the outcome of recent exports
+   */
+  getStatus() {
+    return this.stats.toJSON();
+  }
+}
+
+/**
+ * Builds one span processor per exporter in `config.traces.exporters`, so every
+ * span is exported exactly once to each destination.
+ *
+ * `config.traces.processor` picks a SimpleSpanProcessor, which exports each span
+ * as it ends, or a BatchSpanProcessor configured from `config.traces.batch`. Each
+ * processor has a `getStatus()` reporting its queue depth, dropped spans and last
+ * successful export, for the health endpoints. Spans reach the exporters through
+ * a SemanticConventionsSpanProcessor applying `config.semconv`, then a
+ * RedactingSpanProcessor applying `config.redaction`.
+ *
+ * @param {ReturnType<import('./config').loadTelemetryConfig>} config
+ * @returns {import('@opentelemetry/sdk-trace-base').SpanProcessor[]}
+ */
+const createSpanProcessors = (config) => {
+  const redact = createRedactor(config.redaction);
+  const translate = createAttributeTranslator(config.semconv);
+  // Shared by the processors so a span is translated and redacted once for all exporters
+  const translated = new WeakMap();
+  const redacted = new WeakMap();
+
+  return config.traces.exporters.map((name) => {
+    const simple = config.traces.processor === 'simple';
+    const stats = new ExportStats(name, config.traces.processor, simple ? Infinity : config.traces.batch.maxQueueSize);
+    const exporter = new MonitoredSpanExporter(createSpanExporter(name, config.traces), stats);
+    const processor = simple
+      ? new SimpleSpanProcessor(exporter)
+      : new BatchSpanProcessor(exporter, config.traces.batch);
+    return new MonitoredSpanProcessor(
+      new SemanticConventionsSpanProcessor(new RedactingSpanProcessor(processor, redact, redacted), translate, translated),
+      stats
+    );
+  });
+};
+
+module.exports = { createSpanProcessors };
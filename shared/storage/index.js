@@ -0,0 +1,35 @@
+const { InMemoryClient } = require('./memory');
+const { traceRequests } = require('./tracing');
+
+const BACKENDS = ['elasticsearch', 'memory'];
+
+/**
+ * Returns the client the apps store todos with. `STORAGE_BACKEND=memory` swaps the
+ * Elasticsearch cluster for an in-memory stand-in with the same API. The
+ * Elasticsearch client passes the trace context on to the cluster, see ./tracing.js.
+ *
+ * @param {object} options
+ * @param {ReturnType<import('../logger').createLogger>} options.logger
+ */
+const createStorageClient = ({ logger }) => {
+  const backend = process.env.STORAGE_BACKEND || 'elasticsearch';
+
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}", expected one of: ${BACKENDS.join(', ')}`);
+  }
+
+  if (backend === 'memory') {
+    logger.info('Storing todos in memory, they are lost on restart', { 'storage.backend': backend });
+    return new InMemoryClient();
+  }
+
+  const { Client } = require('@elastic/elasticsearch');
+  return traceRequests(new Client({
+    node: process.env.ELASTICSEARCH_ENDPOINT,
+    auth: {
+      apiKey: process.env.ELASTICSEARCH_API_KEY
+    }
+  }));
+};
+
+module.exports = { createStorageClient };
@@ -0,0 +1,357 @@
+const crypto = require('crypto');
+
+// Mirrors the shape of `errors.ResponseError` from @elastic/elasticsearch closely
+// enough for the apps, which only look at `message`, `statusCode` and `meta.body`.
+class InMemoryResponseError extends Error {
+  constructor(statusCode, body) {
+    super(body.error ? `${body.error.type}: ${body.error.reason}` : JSON.stringify(body));
+    this.name = 'ResponseError';
+    this.statusCode = statusCode;
+    this.meta = { statusCode, body };
+  }
+}
+
+const copy = (document) => JSON.parse(JSON.stringify(document));
+
+const asArray = (clauses) => (Array.isArray(clauses) ? clauses : clauses ? [clauses] : []);
+
+// Reads `{ field: value }` or `{ field: { value } }`, the two forms of a term query
+const termValue = (term) => {
+  const [field, value] = Object.entries(term)[0];
+  return [field, value !== null && typeof value === 'object' ? value.value : value];
+};
+
+// A rough version of the standard analyzer: lowercased runs of letters and digits
+const tokenize = (text) => String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+// `title^2` boosts are accepted but scores are not computed
+const fieldName = (field) => field.split('^')[0];
+
+const matchesText = ({ query, fields, operator = 'or' }, source) => {
+  const terms = tokenize(query);
+  const sourceTerms = new Set(fields
+    .map(fieldName)
+    .filter((field) => typeof source[field] === 'string')
+    .flatMap((field) => tokenize(source[field])));
+  const found = terms.filter((term) => sourceTerms.has(term));
+  return operator.toLowerCase() === 'and' ? found.length === terms.length && terms.length > 0 : found.length > 0;
+};
+
+const matches = (query, source) => {
+  if (!query || query.match_all) {
+    return true;
+  }
+  if (query.term) {
+    const [field, value] = termValue(query.term);
+    // A missing field never matches, as in Elasticsearch
+    return source[field] !== undefined && source[field] === value;
+  }
+  if (query.multi_match) {
+    return matchesText(query.multi_match, source);
+  }
+  if (query.bool) {
+    const { must, filter, must_not: mustNot } = query.bool;
+    return [...asArray(must), ...asArray(filter)].every((clause) => matches(clause, source))
+      && !asArray(mustNot).some((clause) => matches(clause, source));
+  }
+  throw new InMemoryResponseError(400, {
+    error: {
+      type: 'parsing_exception',
+      reason: `unsupported query for the in-memory backend: ${Object.keys(query).join(', ')}`
+    }
+  });
+};
+
+const textQueries = (query) => {
+  if (!query) return [];
+  if (query.multi_match) return [query.multi_match];
+  if (query.bool) {
+    const { must, filter, should } = query.bool;
+    return [...asArray(must), ...asArray(filter), ...asArray(should)].flatMap(textQueries);
+  }
+  return [];
+};
+
+// Wraps every matched term in the tags, like `number_of_fragments: 0` does
+const highlight = (query, highlightOptions, source) => {
+  const { fields = {}, pre_tags: [preTag] = ['<em>'], post_tags: [postTag] = ['</em>'] } = highlightOptions;
+  const queries = textQueries(query);
+  const result = {};
+
+  Object.keys(fields).forEach((field) => {
+    if (typeof source[field] !== 'string') return;
+    const terms = new Set(queries
+      .filter((textQuery) => textQuery.fields.map(fieldName).includes(field))
+      .flatMap((textQuery) => tokenize(textQuery.query)));
+    let highlighted = false;
+    const text = source[field].replace(/[\p{L}\p{N}]+/gu, (word) => {
+      if (!terms.has(word.toLowerCase())) return word;
+      highlighted = true;
+      return `${preTag}${word}${postTag}`;
+    });
+    if (highlighted) result[field] = [text];
+  });
+
+  return Object.keys(result).length ? result : undefined;
+};
+
+// `{ field: 'asc' }` or `{ field: { order } }`
+const sortClauses = (sort) => asArray(sort).map((clause) => {
+  if (typeof clause === 'string') return { field: clause, order: 'asc' };
+  const [field, options] = Object.entries(clause)[0];
+  return { field, order: typeof options === 'string' ? options : options.order || 'asc' };
+});
+
+// Missing values sort last whatever the order, as with the default `missing: _last`
+const compareValues = (a, b, order) => {
+  if (a === b) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  return (a < b ? -1 : 1) * (order === 'desc' ? -1 : 1);
+};
+
+const compareSortValues = (a, b, orders) => {
+  for (let i = 0; i < orders.length; i += 1) {
+    const result = compareValues(a[i], b[i], orders[i]);
+    if (result !== 0) return result;
+  }
+  return 0;
+};
+
+const parseKeepAlive = (keepAlive) => {
+  const [, amount, unit] = /^(\d+)(ms|s|m|h)$/.exec(keepAlive || '') || [];
+  if (!amount) {
+    throw new InMemoryResponseError(400, {
+      error: { type: 'illegal_argument_exception', reason: `failed to parse keep_alive [${keepAlive}]` }
+    });
+  }
+  return Number(amount) * { ms: 1, s: 1000, m: 60000, h: 3600000 }[unit];
+};
+
+/**
+ * Stand-in for the `@elastic/elasticsearch` Client that keeps documents in memory.
+ * It implements only the calls the todo apps make, with the same request and
+ * response shapes, so the apps run without a cluster.
+ */
+class InMemoryClient {
+  constructor() {
+    this.store = new Map();
+    this.mappings = new Map();
+    this.pointsInTime = new Map();
+
+    this.indices = {
+      exists: async ({ index }) => this.store.has(index),
+      create: async ({ index, body, mappings }) => {
+        if (this.store.has(index)) {
+          throw new InMemoryResponseError(400, {
+            error: { type: 'resource_already_exists_exception', reason: `index [${index}] already exists` },
+            status: 400
+          });
+        }
+        this.store.set(index, new Map());
+        this.mappings.set(index, ((body && body.mappings) || mappings || {}).properties || {});
+        return { acknowledged: true, shards_acknowledged: true, index };
+      }
+    };
+  }
+
+  documents(index) {
+    if (!this.store.has(index)) {
+      // Elasticsearch creates the index on first write, so do the same
+      this.store.set(index, new Map());
+    }
+    return this.store.get(index);
+  }
+
+  // Dates sort by their epoch milliseconds, as Elasticsearch returns them in `sort`
+  sortValue(index, field, source) {
+    const value = source[field];
+    if (value === undefined || value === null) return null;
+    const mapping = (this.mappings.get(index) || {})[field];
+    return mapping && mapping.type === 'date' ? Date.parse(value) : value;
+  }
+
+  async openPointInTime({ index, keep_alive: keepAlive }) {
+    // Each one holds a copy of the index, so expired ones are dropped before opening
+    // another rather than only when their id is looked up again
+    const now = Date.now();
+    this.pointsInTime.forEach((pit, pitId) => {
+      if (pit.expiresAt < now) this.pointsInTime.delete(pitId);
+    });
+
+    const id = crypto.randomBytes(24).toString('base64url');
+    // A point in time sees the documents as they were when it was opened
+    this.pointsInTime.set(id, {
+      index,
+      documents: [...this.documents(index)].map(([docId, source]) => [docId, copy(source)]),
+      expiresAt: Date.now() + parseKeepAlive(keepAlive)
+    });
+    return { id };
+  }
+
+  async closePointInTime(params) {
+    const { id } = params.body || params;
+    const freed = this.pointsInTime.delete(id);
+    return { succeeded: true, num_freed: freed ? 1 : 0 };
+  }
+
+  pointInTime({ id, keep_alive: keepAlive }) {
+    const pit = this.pointsInTime.get(id);
+    if (!pit || pit.expiresAt < Date.now()) {
+      this.pointsInTime.delete(id);
+      throw new InMemoryResponseError(404, {
+        error: { type: 'search_context_missing_exception', reason: 'No search context found for id' },
+        status: 404
+      });
+    }
+    if (keepAlive) pit.expiresAt = Date.now() + parseKeepAlive(keepAlive);
+    return pit;
+  }
+
+  async search(params) {
+    const startTime = Date.now();
+    const {
+      query, size = 10, from = 0, sort, search_after: searchAfter, pit, highlight: highlightOptions
+    } = params.body || params;
+    const snapshot = pit ? this.pointInTime(pit) : undefined;
+    const index = snapshot ? snapshot.index : params.index;
+    const documents = snapshot ? snapshot.documents : [...this.documents(index)];
+
+    // Searches on a point in time get the implicit `_shard_doc` tiebreaker
+    const clauses = sortClauses(sort);
+    const orders = [...clauses.map(({ order }) => order), ...(snapshot ? ['asc'] : [])];
+    const sortValues = (source, position) => [
+      ...clauses.map(({ field }) => this.sortValue(index, field, source)),
+      ...(snapshot ? [position] : [])
+    ];
+
+    let hits = documents
+      .map(([id, source], position) => ({ id, source, sortValues: sortValues(source, position) }))
+      .filter(({ source }) => matches(query, source));
+    if (clauses.length) {
+      hits.sort((a, b) => compareSortValues(a.sortValues, b.sortValues, orders));
+    }
+    const total = hits.length;
+    if (searchAfter) {
+      hits = hits.filter((hit) => compareSortValues(hit.sortValues, searchAfter, orders) > 0);
+    }
+
+    return {
+      took: Date.now() - startTime,
+      timed_out: false,
+      ...(snapshot ? { pit_id: pit.id } : {}),
+      hits: {
+        total: { value: total, relation: 'eq' },
+        max_score: clauses.length || !total ? null : 1,
+        hits: hits.slice(from, from + size).map(({ id, source, sortValues: values }) => {
+          const highlighted = highlightOptions && highlight(query, highlightOptions, source);
+          return {
+            _index: index,
+            _id: id,
+            _score: clauses.length ? null : 1,
+            _source: copy(source),
+            ...(clauses.length ? { sort: values } : {}),
+            ...(highlighted ? { highlight: highlighted } : {})
+          };
+        })
+      }
+    };
+  }
+
+  async count(params) {
+    const { query } = params.body || params;
+    const count = [...this.documents(params.index).values()].filter((source) => matches(query, source)).length;
+    return { count, _shards: { total: 1, successful: 1, skipped: 0, failed: 0 } };
+  }
+
+  async get({ index, id }) {
+    const documents = this.documents(index);
+    if (!documents.has(id)) {
+      throw new InMemoryResponseError(404, { _index: index, _id: id, found: false });
+    }
+    return { _index: index, _id: id, _version: 1, found: true, _source: copy(documents.get(id)) };
+  }
+
+  async index({ index, id, body, document }) {
+    const documents = this.documents(index);
+    const _id = id || crypto.randomBytes(15).toString('base64url');
+    const result = documents.has(_id) ? 'updated' : 'created';
+    documents.set(_id, copy(body || document));
+    return { _index: index, _id, _version: 1, result };
+  }
+
+  async update({ index, id, body, doc }) {
+    const documents = this.documents(index);
+    if (!documents.has(id)) {
+      throw new InMemoryResponseError(404, {
+        error: { type: 'document_missing_exception', reason: `[${id}]: document missing` },
+        status: 404
+      });
+    }
+    documents.set(id, { ...documents.get(id), ...copy((body && body.doc) || doc) });
+    return { _index: index, _id: id, result: 'updated' };
+  }
+
+  async delete({ index, id }) {
+    const documents = this.documents(index);
+    if (!documents.delete(id)) {
+      throw new InMemoryResponseError(404, { _index: index, _id: id, result: 'not_found' });
+    }
+    return { _index: index, _id: id, result: 'deleted' };
+  }
+
+  // Runs `index` and `create` actions one by one; each item reports its own result or
+  // error, and `errors` is true when any of them failed
+  async bulk({ index, operations, body }) {
+    const startTime = Date.now();
+    const lines = operations || body;
+    const items = [];
+
+    for (let i = 0; i < lines.length; i += 2) {
+      const [action, meta] = Object.entries(lines[i])[0];
+      const source = lines[i + 1];
+      const itemIndex = meta._index || index;
+      const documents = this.documents(itemIndex);
+      const id = meta._id || crypto.randomBytes(15).toString('base64url');
+
+      if (!['index', 'create'].includes(action)) {
+        throw new InMemoryResponseError(400, {
+          error: { type: 'illegal_argument_exception', reason: `unsupported bulk action for the in-memory backend: ${action}` },
+          status: 400
+        });
+      }
+      if (action === 'create' && documents.has(id)) {
+        items.push({
+          [action]: {
+            _index: itemIndex,
+            _id: id,
+            status: 409,
+            error: {
+              type: 'version_conflict_engine_exception',
+              reason: `[${id}]: version conflict, document already exists (current version [1])`
+            }
+          }
+        });
+        continue;
+      }
+
+      const result = documents.has(id) ? 'updated' : 'created';
+      documents.set(id, copy(source));
+      items.push({ [action]: { _index: itemIndex, _id: id, _version: 1, result, status: result === 'created' ? 201 : 200 } });
+    }
+
+    return {
+      took: Date.now() - startTime,
+      errors: items.some((item) => Object.values(item)[0].error),
+      items
+    };
+  }
+
+  async ping() {
+    return true;
+  }
+
+  async close() {}
+}
+
+module.exports = { InMemoryClient, InMemoryResponseError };
@@ -0,0 +1,66 @@
+const diagnosticsChannel = require('diagnostics_channel');
+const { context, propagation, trace, isSpanContextValid } = require('@opentelemetry/api');
+
+// The channel the undici instrumentation listens on to inject the context of its own
+// span; it appends headers rather than replacing them
+const undiciRequestChannel = diagnosticsChannel.channel('undici:request:create');
+
+/**
+ * Joins the requests of an Elasticsearch `Client` to the trace they are made in.
+ *
+ * Every attempt carries the active context as `traceparent` and `baggage`, and as
+ * `X-Opaque-Id` the trace id unless the call sets its own, so the cluster's slow logs
+ * and task list can be looked up by trace. When the client's diagnostic events fire, the active span is
+ * the client's own span for the call, or the app's span around it when the client's
+ * instrumentation is off. The node, status, retries and response size of each call
+ * are recorded on it.
+ *
+ * @param {import('@elastic/elasticsearch').Client} client
+ */
+const traceRequests = (client) => {
+  // Emitted right before each attempt is sent, with the headers object that goes on
+  // the wire. Where the undici instrumentation is loaded, as in the hybrid and auto
+  // modes, it propagates the context itself, and injecting here too would send every
+  // header twice.
+  client.diagnostic.on('request', (error, event) => {
+    if (error || !event) return;
+    const headers = event.meta.request.params.headers;
+    if (!headers) return;
+
+    const active = context.active();
+    if (!undiciRequestChannel.hasSubscribers) {
+      propagation.inject(active, headers);
+    }
+
+    const spanContext = trace.getSpanContext(active);
+    if (spanContext && isSpanContextValid(spanContext) && headers['x-opaque-id'] === undefined) {
+      headers['x-opaque-id'] = spanContext.traceId;
+    }
+  });
+
+  // Emitted once per call, after the last attempt, with or without an error
+  client.diagnostic.on('response', (error, event) => {
+    const span = trace.getActiveSpan();
+    if (!span || !span.isRecording() || !event) return;
+
+    const { meta, statusCode, headers } = event;
+    const attributes = {
+      'elasticsearch.request.retries': meta.attempts
+    };
+    if (meta.connection) {
+      attributes['elasticsearch.node'] = meta.connection.url.origin;
+    }
+    if (statusCode) {
+      attributes['http.response.status_code'] = statusCode;
+    }
+    const size = parseInt(headers && headers['content-length']);
+    if (Number.isInteger(size)) {
+      attributes['http.response.body.size'] = size;
+    }
+    span.setAttributes(attributes);
+  });
+
+  return client;
+};
+
+module.exports = { traceRequests };
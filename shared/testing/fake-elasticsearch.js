@@ -0,0 +1,167 @@
+const http = require('http');
+const path = require('path');
+const { fork } = require('child_process');
+const { InMemoryClient } = require('../storage/memory');
+
+// The client refuses to talk to a server without this header
+const PRODUCT_HEADERS = { 'x-elastic-product': 'Elasticsearch' };
+
+// Every REST call the apps make, mapped onto the in-memory client
+const ROUTES = [
+  ['HEAD', /^\/$/, (store) => store.ping()],
+  ['HEAD', /^\/([^/_][^/]*)$/, (store, [index]) => store.indices.exists({ index })],
+  ['PUT', /^\/([^/_][^/]*)$/, (store, [index], body) => store.indices.create({ index, body })],
+  ['POST', /^\/([^/_][^/]*)\/_doc$/, (store, [index], body) => store.index({ index, body })],
+  ['PUT', /^\/([^/_][^/]*)\/_doc\/([^/]+)$/, (store, [index, id], body) => store.index({ index, id, body })],
+  ['GET', /^\/([^/_][^/]*)\/_doc\/([^/]+)$/, (store, [index, id]) => store.get({ index, id })],
+  ['DELETE', /^\/([^/_][^/]*)\/_doc\/([^/]+)$/, (store, [index, id]) => store.delete({ index, id })],
+  ['POST', /^\/([^/_][^/]*)\/_update\/([^/]+)$/, (store, [index, id], body) => store.update({ index, id, body })],
+  ['POST', /^\/([^/_][^/]*)\/_bulk$/, (store, [index], operations) => store.bulk({ index, operations })],
+  ['POST', /^\/_bulk$/, (store, params, operations) => store.bulk({ operations })],
+  ['POST', /^\/([^/_][^/]*)\/_count$/, (store, [index], body) => store.count({ index, body })],
+  ['POST', /^\/([^/_][^/]*)\/_search$/, (store, [index], body) => store.search({ index, body })],
+  ['POST', /^\/_search$/, (store, params, body) => store.search({ body })],
+  ['POST', /^\/([^/_][^/]*)\/_pit$/, (store, [index], body, query) => store.openPointInTime({ index, keep_alive: query.get('keep_alive') })],
+  ['DELETE', /^\/_pit$/, (store, params, body) => store.closePointInTime({ body })],
+  // Accepts and drops OTLP exports, for SDKs that will not start without an exporter
+  ['POST', /^\/v1\/(traces|metrics|logs)$/, async () => ({})]
+];
+
+// Bulk requests send one JSON object per line
+const parseBody = (text, contentType = '') => {
+  if (!text || !contentType.includes('json')) return undefined;
+  if (contentType.includes('ndjson')) return text.split('\n').filter(Boolean).map((line) => JSON.parse(line));
+  return JSON.parse(text);
+};
+
+// A HEAD request answers with its status only
+const headResult = (result) => (result === false ? 404 : 200);
+
+/**
+ * Serves the Elasticsearch REST API the todo apps use, backed by the in-memory
+ * client, so the real `@elastic/elasticsearch` client and its spans run in the tests.
+ * Every request is recorded, and `fail()` makes matching requests answer with an
+ * error instead.
+ */
+const createFakeElasticsearch = () => {
+  const store = new InMemoryClient();
+  const requests = [];
+  let failures = [];
+
+  // With a content-length, as Elasticsearch answers, rather than chunked
+  const respond = (res, statusCode, body) => {
+    const payload = body === undefined ? '' : JSON.stringify(body);
+    res.writeHead(statusCode, {
+      ...PRODUCT_HEADERS,
+      'content-type': 'application/json',
+      'content-length': Buffer.byteLength(payload)
+    });
+    res.end(payload);
+  };
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', async () => {
+      const url = new URL(req.url, 'http://localhost');
+      const text = Buffer.concat(chunks).toString('utf8');
+      const body = parseBody(text, req.headers['content-type']);
+      requests.push({ method: req.method, path: url.pathname, headers: req.headers, body });
+
+      const failure = failures.find(({ method, path: pattern }) => (!method || method === req.method)
+        && new RegExp(pattern).test(url.pathname));
+      if (failure) {
+        if (failure.once) failures = failures.filter((candidate) => candidate !== failure);
+        return respond(res, failure.statusCode, {
+          error: { type: failure.type || 'fake_failure', reason: 'Failure injected by the test' },
+          status: failure.statusCode
+        });
+      }
+
+      const route = ROUTES.find(([method, pattern]) => method === req.method && pattern.test(url.pathname));
+      if (!route) {
+        return respond(res, 400, {
+          error: { type: 'illegal_argument_exception', reason: `no handler for ${req.method} ${url.pathname}` },
+          status: 400
+        });
+      }
+
+      const [method, pattern, handler] = route;
+      try {
+        const result = await handler(store, pattern.exec(url.pathname).slice(1), body, url.searchParams);
+        if (method === 'HEAD') return respond(res, headResult(result));
+        // Writes answer 201 when they create a document, as Elasticsearch does
+        return respond(res, result && result.result === 'created' ? 201 : 200, result);
+      } catch (error) {
+        if (method === 'HEAD') return respond(res, error.statusCode || 500);
+        return respond(res, error.statusCode || 500, error.meta ? error.meta.body : { error: { type: 'exception', reason: error.message } });
+      }
+    });
+  });
+
+  return {
+    server,
+    requests,
+    fail: (failure) => { failures.push(failure); },
+    reset: () => {
+      requests.length = 0;
+      failures = [];
+    }
+  };
+};
+
+/**
+ * Starts the fake cluster in a child process, so its own HTTP server is not traced by
+ * the app under test, and returns a handle to talk to it.
+ *
+ * @returns {Promise<{
+ *   url: string,
+ *   requests: () => Promise<object[]>,
+ *   fail: (failure: { method?: string, path: string, statusCode: number, type?: string, once?: boolean }) => Promise<void>,
+ *   reset: () => Promise<void>,
+ *   stop: () => Promise<void>
+ * }>}
+ */
+const startFakeElasticsearch = () => new Promise((resolve, reject) => {
+  const child = fork(path.join(__dirname, 'fake-elasticsearch.js'), [], { stdio: 'inherit' });
+  let nextId = 0;
+  const pending = new Map();
+
+  const call = (command, argument) => new Promise((resolveCall) => {
+    nextId += 1;
+    pending.set(nextId, resolveCall);
+    child.send({ id: nextId, command, argument });
+  });
+
+  child.once('error', reject);
+  child.on('message', (message) => {
+    if (message.listening) {
+      resolve({
+        url: `http://127.0.0.1:${message.port}`,
+        requests: () => call('requests'),
+        fail: (failure) => call('fail', failure),
+        reset: () => call('reset'),
+        stop: () => new Promise((resolveStop) => {
+          child.once('exit', () => resolveStop());
+          child.kill();
+        })
+      });
+      return;
+    }
+    pending.get(message.id)(message.result);
+    pending.delete(message.id);
+  });
+});
+
+if (require.main === module) {
+  const fake = createFakeElasticsearch();
+  process.on('message', ({ id, command, argument }) => {
+    const result = command === 'requests' ? fake.requests : fake[command](argument);
+    process.send({ id, result });
+  });
+  // Stops with the test process, even when that one exits without stopping it
+  process.on('disconnect', () => process.exit(0));
+  fake.server.listen(0, '127.0.0.1', () => process.send({ listening: true, port: fake.server.address().port }));
+}
+
+module.exports = { createFakeElasticsearch, startFakeElasticsearch };
@@ -0,0 +1,264 @@
+const assert = require('assert/strict');
+const path = require('path');
+const crypto = require('crypto');
+const net = require('net');
+const { once } = require('events');
+const { trace, context, SpanKind, SpanStatusCode } = require('@opentelemetry/api');
+const { suppressTracing } = require('@opentelemetry/core');
+const { InMemorySpanExporter, SimpleSpanProcessor } = require('@opentelemetry/sdk-trace-base');
+const { startFakeElasticsearch } = require('./fake-elasticsearch');
+const { shutdownGlobalTelemetry } = require('../shutdown');
+
+// Settings from a developer's .env must not change what the tests see; dotenv does
+// not override variables that are already set, even to an empty string
+const TEST_ENV = {
+  PORT: '0',
+  indexName: 'todos',
+  STORAGE_BACKEND: 'elasticsearch',
+  ELASTICSEARCH_API_KEY: 'test',
+  OTEL_TRACES_EXPORTER: 'none',
+  OTEL_METRICS_EXPORTER: 'none',
+  OTEL_LOGS_EXPORTER: 'none',
+  OTEL_TRACES_SAMPLER: 'parentbased_always_on',
+  OTEL_TRACES_SAMPLER_RULES: '',
+  OTEL_SEMCONV_STABILITY_OPT_IN: '',
+  OTEL_NODE_RESOURCE_DETECTORS: 'none',
+  ELASTIC_OTEL_METRICS_DISABLED: 'true',
+  LOG_LEVEL: 'silent',
+  OTEL_LOG_LEVEL: 'error',
+  INDEX_SETUP_RETRY_MS: '100'
+};
+
+const READY_TIMEOUT_MILLIS = 10000;
+const TRACE_TIMEOUT_MILLIS = 5000;
+
+const sleep = (millis) => new Promise((resolve) => setTimeout(resolve, millis));
+
+const SPAN_KINDS = Object.fromEntries(Object.entries(SpanKind).map(([name, value]) => [value, name]));
+
+/**
+ * The spans of one trace, with lookups by name and along the parent/child links.
+ */
+class Trace {
+  constructor(spans, rootParentId) {
+    this.spans = [...spans].sort((a, b) => (a.startTime[0] - b.startTime[0]) || (a.startTime[1] - b.startTime[1]));
+    this.rootParentId = rootParentId;
+  }
+
+  // The span the app started for the request, child of the test's own traceparent
+  root() {
+    const roots = this.spans.filter((span) => span.parentSpanId === this.rootParentId);
+    if (roots.length !== 1) {
+      throw new Error(`Expected one root span, found ${roots.length}:\n${this.describe()}`);
+    }
+    return roots[0];
+  }
+
+  /**
+   * The one span called `name`; fails with the whole tree when there is none or more.
+   */
+  find(name) {
+    const found = this.findAll(name);
+    if (found.length !== 1) {
+      throw new Error(`Expected one span named "${name}", found ${found.length}:\n${this.describe()}`);
+    }
+    return found[0];
+  }
+
+  findAll(name) {
+    return this.spans.filter((span) => (name instanceof RegExp ? name.test(span.name) : span.name === name));
+  }
+
+  parentOf(span) {
+    return this.spans.find((candidate) => candidate.spanContext().spanId === span.parentSpanId);
+  }
+
+  childrenOf(span) {
+    return this.spans.filter((candidate) => candidate.parentSpanId === span.spanContext().spanId);
+  }
+
+  /**
+   * True when `ancestor` is on the path from `span` to the root.
+   */
+  isDescendant(span, ancestor) {
+    for (let parent = this.parentOf(span); parent; parent = this.parentOf(parent)) {
+      if (parent === ancestor) return true;
+    }
+    return false;
+  }
+
+  // An indented outline of the trace, for assertion messages
+  describe() {
+    const lines = [];
+    const walk = (parentId, depth) => this.spans
+      .filter((span) => span.parentSpanId === parentId)
+      .forEach((span) => {
+        const status = span.status.code === SpanStatusCode.ERROR ? ' ERROR' : span.status.code === SpanStatusCode.OK ? ' OK' : '';
+        lines.push(`${'  '.repeat(depth)}${SPAN_KINDS[span.kind]} ${span.name}${status}`);
+        walk(span.spanContext().spanId, depth + 1);
+      });
+    walk(this.rootParentId, 0);
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Boots an app in this process against a fake Elasticsearch cluster, with an
+ * InMemorySpanExporter added to the tracer provider the app registers. Each test
+ * file runs in its own process under `node --test`, so one app is booted per process.
+ *
+ * @param {object} options
+ * @param {string} options.appDir directory of the app's index.js
+ * @param {NodeJS.ProcessEnv} [options.env] on top of the test defaults, e.g. the
+ *   INSTRUMENTATION_MODE
+ */
+const startApp = async ({ appDir, env = {} }) => {
+  const elasticsearch = await startFakeElasticsearch();
+  Object.assign(process.env, TEST_ENV, {
+    ELASTICSEARCH_ENDPOINT: elasticsearch.url,
+    OTEL_EXPORTER_OTLP_ENDPOINT: elasticsearch.url,
+    OTEL_EXPORTER_OTLP_PROTOCOL: 'http/json'
+  }, env);
+
+  const { server } = require(path.join(appDir, 'index.js'));
+
+  const exporter = new InMemorySpanExporter();
+  const provider = trace.getTracerProvider();
+  const delegate = provider.getDelegate ? provider.getDelegate() : provider;
+  // Without an SDK, as with INSTRUMENTATION_MODE=none, there are no spans to wait for
+  const traced = typeof delegate.addSpanProcessor === 'function';
+  if (traced) delegate.addSpanProcessor(new SimpleSpanProcessor(exporter));
+
+  if (!server.listening) await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // The test's own requests are not traced, whatever the app instruments
+  const send = (method, urlPath, { body, headers = {} } = {}) => context.with(suppressTracing(context.active()), () => fetch(`${baseUrl}${urlPath}`, {
+    method,
+    headers: { ...(body !== undefined ? { 'content-type': 'application/json' } : {}), ...headers },
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  }));
+
+  /**
+   * Sends a request as the child of a new sampled trace and waits for the span the
+   * app started for it to end, when there is an SDK to start one.
+   *
+   * @returns {Promise<{ status: number, headers: Headers, body: any, trace: Trace }>}
+   */
+  const request = async (method, urlPath, options = {}) => {
+    const traceId = crypto.randomBytes(16).toString('hex');
+    const parentId = crypto.randomBytes(8).toString('hex');
+    const response = await send(method, urlPath, {
+      ...options,
+      headers: { ...options.headers, traceparent: `00-${traceId}-${parentId}-01` }
+    });
+    const text = await response.text();
+    let body = text;
+    try {
+      body = JSON.parse(text);
+    } catch (error) {
+      // Not JSON, e.g. the homepage
+    }
+
+    const spansOfTrace = () => exporter.getFinishedSpans().filter((span) => span.spanContext().traceId === traceId);
+    const deadline = Date.now() + TRACE_TIMEOUT_MILLIS;
+    while (traced && !spansOfTrace().some((span) => span.parentSpanId === parentId)) {
+      if (Date.now() > deadline) throw new Error(`No span ended for ${method} ${urlPath}`);
+      await sleep(5);
+    }
+    // The server span ends as the response finishes, its children before it
+    await sleep(5);
+    return { status: response.status, headers: response.headers, body, trace: new Trace(spansOfTrace(), parentId) };
+  };
+
+  /**
+   * The spans of one trace as the app exported them over OTLP to the fake cluster,
+   * after the exporters it configured itself, redaction included, so with
+   * OTEL_TRACES_EXPORTER=otlp only. Attribute values are unwrapped from their OTLP
+   * AnyValue.
+   *
+   * @param {string} traceId
+   * @returns {Promise<Array<{ name: string, attributes: object, events: object[] }>>}
+   */
+  const exportedSpans = async (traceId) => {
+    await delegate.forceFlush();
+    const unwrap = (attributes = []) => Object.fromEntries(attributes.map(({ key, value }) => [key, Object.values(value)[0]]));
+    return (await elasticsearch.requests())
+      .filter(({ path: requestPath, body }) => requestPath === '/v1/traces' && body && body.resourceSpans)
+      .flatMap(({ body }) => body.resourceSpans)
+      .flatMap((resourceSpans) => (resourceSpans.scopeSpans || []).flatMap((scopeSpans) => scopeSpans.spans || []))
+      .filter((span) => span.traceId === traceId)
+      .map((span) => ({
+        ...span,
+        attributes: unwrap(span.attributes),
+        events: (span.events || []).map((event) => ({ ...event, attributes: unwrap(event.attributes) }))
+      }));
+  };
+
+  const deadline = Date.now() + READY_TIMEOUT_MILLIS;
+  while ((await send('GET', '/readyz')).status !== 200) {
+    if (Date.now() > deadline) throw new Error('The app did not become ready');
+    await sleep(50);
+  }
+
+  return {
+    baseUrl,
+    traced,
+    elasticsearch,
+    exporter,
+    request,
+    send,
+    exportedSpans,
+    stop: async () => {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+      // Flushed while the fake cluster can still take the exports
+      await shutdownGlobalTelemetry();
+      await elasticsearch.stop();
+    }
+  };
+};
+
+/**
+ * Asserts what is given about the one span called `name` and returns it: its kind,
+ * the name of its direct parent, its status code and a subset of its attributes.
+ *
+ * @param {Trace} trace
+ * @param {string|RegExp} name
+ * @param {{ kind?: number, parent?: string, status?: number, attributes?: object }} [expected]
+ */
+const expectSpan = (trace, name, { kind, parent, status, attributes = {} } = {}) => {
+  const span = trace.find(name);
+  const where = `on "${span.name}" in\n${trace.describe()}`;
+  if (kind !== undefined) assert.equal(SPAN_KINDS[span.kind], SPAN_KINDS[kind], `kind ${where}`);
+  if (parent !== undefined) assert.equal(trace.parentOf(span)?.name, parent, `parent ${where}`);
+  if (status !== undefined) assert.equal(span.status.code, status, `status ${where}`);
+  Object.entries(attributes).forEach(([key, value]) => assert.deepEqual(span.attributes[key], value, `${key} ${where}`));
+  return span;
+};
+
+/**
+ * Finds the attribute under the first of `keys` that is set, for assertions that hold
+ * whichever semantic convention names the instrumentation uses.
+ */
+const attribute = (span, ...keys) => keys.map((key) => span.attributes[key]).find((value) => value !== undefined);
+
+/**
+ * A port nothing listens on right now, for servers the app starts itself on a port
+ * from its environment, such as the Prometheus exporter, which would otherwise clash
+ * with a running app or another test process.
+ *
+ * @param {string} [host]
+ * @returns {Promise<number>}
+ */
+const findFreePort = async (host = '127.0.0.1') => {
+  const server = net.createServer();
+  server.listen(0, host);
+  await once(server, 'listening');
+  const { port } = server.address();
+  server.close();
+  await once(server, 'close');
+  return port;
+};
+
+module.exports = { startApp, findFreePort, Trace, expectSpan, attribute };
@@ -0,0 +1,218 @@
+const { HttpError, ValidationError } = require('./errors');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_TEXT_LENGTH = 200;
+// How long Elasticsearch keeps a point in time open between two pages
+const KEEP_ALIVE = '2m';
+const SORT_ORDERS = { 'createdAt:desc': 'desc', 'createdAt:asc': 'asc' };
+const QUERY_PARAMETERS = ['q', 'completed', 'sort', 'size', 'cursor'];
+
+const HIGHLIGHT_TAGS = { pre: '<mark>', post: '</mark>' };
+
+// The cursor carries the whole search, so a page is always read with the query,
+// filter and sort of the page before it. It comes back from the client, so what it
+// carries is checked as the query string it was built from would have been
+const encodeCursor = (query) => Buffer.from(JSON.stringify(query)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  let query;
+  try {
+    query = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    query = undefined;
+  }
+  const valid = query
+    && typeof query.pit === 'string'
+    && Array.isArray(query.after)
+    && ['asc', 'desc'].includes(query.order)
+    && Number.isInteger(query.size) && query.size >= 1 && query.size <= MAX_PAGE_SIZE
+    && (query.text === undefined || (typeof query.text === 'string' && query.text.length <= MAX_TEXT_LENGTH))
+    && (query.completed === undefined || typeof query.completed === 'boolean');
+  if (!valid) {
+    throw new ValidationError('Cursor is invalid', [{ field: 'cursor', message: 'is not a cursor returned by this endpoint' }]);
+  }
+  return query;
+};
+
+/**
+ * Validates the query string of `GET /get_todos`.
+ *
+ * - `q`: full-text search on title and description, every word has to match
+ * - `completed`: `true` or `false`, all todos when left out
+ * - `sort`: `createdAt:desc` (default) or `createdAt:asc`
+ * - `size`: 1 to 100 todos per page, default 20
+ * - `cursor`: the `next` value of the previous page; the other parameters are ignored with it
+ *
+ * @param {object} params `req.query`
+ * @returns {{ text?: string, completed?: boolean, order: 'asc'|'desc', size: number, pit?: string, after?: Array }}
+ * @throws {ValidationError}
+ */
+const parseTodoQuery = (params) => {
+  const details = Object.keys(params)
+    .filter((name) => !QUERY_PARAMETERS.includes(name))
+    .map((name) => ({ field: name, message: 'is not a supported query parameter' }));
+  const single = (name) => {
+    const value = params[name];
+    if (Array.isArray(value) || (value !== undefined && typeof value !== 'string')) {
+      details.push({ field: name, message: 'must be given once' });
+      return undefined;
+    }
+    return value;
+  };
+
+  const cursor = single('cursor');
+  const text = (single('q') || '').trim();
+  const completed = single('completed');
+  const sort = single('sort') || 'createdAt:desc';
+  const size = single('size');
+
+  if (text.length > MAX_TEXT_LENGTH) details.push({ field: 'q', message: `must be at most ${MAX_TEXT_LENGTH} characters` });
+  if (completed !== undefined && !['true', 'false'].includes(completed)) details.push({ field: 'completed', message: 'must be true or false' });
+  if (!(sort in SORT_ORDERS)) details.push({ field: 'sort', message: `must be one of ${Object.keys(SORT_ORDERS).join(', ')}` });
+  if (size !== undefined && !(/^\d+$/.test(size) && Number(size) >= 1 && Number(size) <= MAX_PAGE_SIZE)) {
+    details.push({ field: 'size', message: `must be a number from 1 to ${MAX_PAGE_SIZE}` });
+  }
+
+  if (details.length > 0) {
+    throw new ValidationError('Query is invalid', details);
+  }
+  if (cursor) {
+    return decodeCursor(cursor);
+  }
+
+  return {
+    ...(text ? { text } : {}),
+    ...(completed !== undefined ? { completed: completed === 'true' } : {}),
+    order: SORT_ORDERS[sort],
+    size: size === undefined ? DEFAULT_PAGE_SIZE : Number(size)
+  };
+};
+
+/**
+ * Span attributes describing the shape of a todo query. The search text itself is
+ * left out; only its length and number of words are recorded.
+ *
+ * @param {ReturnType<parseTodoQuery>} query
+ * @returns {import('@opentelemetry/api').Attributes}
+ */
+const describeTodoQuery = (query) => ({
+  'todo.query.has_text': Boolean(query.text),
+  'todo.query.text_length': query.text ? query.text.length : 0,
+  'todo.query.terms': query.text ? query.text.split(/\s+/).length : 0,
+  'todo.query.completed': query.completed === undefined ? 'any' : String(query.completed),
+  'todo.query.sort': `createdAt:${query.order}`,
+  'todo.query.size': query.size,
+  'todo.query.page': query.pit ? 'next' : 'first'
+});
+
+const buildQuery = ({ text, completed }) => ({
+  bool: {
+    must: text
+      ? [{ multi_match: { query: text, fields: ['title^2', 'description'], type: 'cross_fields', operator: 'and' } }]
+      : [{ match_all: {} }],
+    // Todos saved before `completed` existed count as not completed
+    filter: completed === undefined ? [] : [completed
+      ? { term: { completed: true } }
+      : { bool: { must_not: { term: { completed: true } } } }]
+  }
+});
+
+const closePointInTime = (client, id) => client.closePointInTime({ id }).catch(() => undefined);
+
+/**
+ * Reads one page of todos. The first page opens a point in time so that later pages
+ * see the same documents, and `search_after` continues from the last todo of the
+ * page before; the point in time is closed once the last page has been read.
+ * Callers that only want the first page pass `paginate: false`, which searches the
+ * index directly and never returns a `next` cursor, so no point in time is left
+ * open behind a cursor nobody will follow.
+ *
+ * @param {object} options
+ * @param {import('@elastic/elasticsearch').Client} options.client
+ * @param {string} options.index
+ * @param {ReturnType<parseTodoQuery>} options.query
+ * @param {boolean} [options.paginate=true]
+ * @returns {Promise<{ todos: object[], total: number, next: string|null, took: number }>}
+ * @throws {HttpError} 400 `cursor_expired` when the point in time of a cursor is gone
+ */
+const searchTodos = async ({ client, index, query, paginate = true }) => {
+  const pit = query.pit || (paginate ? (await client.openPointInTime({ index, keep_alive: KEEP_ALIVE })).id : undefined);
+
+  let response;
+  try {
+    response = await client.search({
+      ...(pit ? {} : { index }),
+      body: {
+        ...(pit ? { pit: { id: pit, keep_alive: KEEP_ALIVE } } : {}),
+        query: buildQuery(query),
+        sort: [{ createdAt: { order: query.order } }],
+        // One more than the page, to know whether there is a next one
+        size: query.size + 1,
+        track_total_hits: true,
+        ...(query.after ? { search_after: query.after } : {}),
+        ...(query.text ? {
+          highlight: {
+            fields: { title: {}, description: {} },
+            pre_tags: [HIGHLIGHT_TAGS.pre],
+            post_tags: [HIGHLIGHT_TAGS.post],
+            number_of_fragments: 0
+          }
+        } : {})
+      }
+    });
+  } catch (error) {
+    if (query.pit && error.statusCode === 404) {
+      throw new HttpError(400, 'cursor_expired', 'Cursor has expired, start again from the first page');
+    }
+    if (pit && !query.pit) await closePointInTime(client, pit);
+    throw error;
+  }
+
+  const hits = response.hits.hits.slice(0, query.size);
+  const hasNext = Boolean(pit) && response.hits.hits.length > query.size;
+  if (pit && !hasNext) await closePointInTime(client, response.pit_id || pit);
+
+  return {
+    todos: hits.map((hit) => ({
+      id: hit._id,
+      ...hit._source,
+      ...(hit.highlight ? { highlight: hit.highlight } : {})
+    })),
+    total: response.hits.total.value,
+    next: hasNext
+      ? encodeCursor({ ...query, pit: response.pit_id || pit, after: hits[hits.length - 1].sort })
+      : null,
+    took: response.took
+  };
+};
+
+const SEARCH_PARAMETER = /((?:^|[?&])(?:q|cursor)=)[^&#]*/g;
+
+/**
+ * Replaces the values of `q` and `cursor` in a URL, a path with its query string or
+ * a bare query string. Cursors count as search text since they carry their search.
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+const redactSearchParameters = (url) => url.replace(SEARCH_PARAMETER, '$1REDACTED');
+
+/**
+ * `applyCustomAttributesOnSpan` hook for the HTTP instrumentation that replaces the
+ * search text in the URL attributes of `GET /get_todos` spans, so traces keep the
+ * query shape only. Cursors are replaced too, since they carry the text of their
+ * search. Call it after any hook that sets `http.url` itself.
+ *
+ * @param {import('@opentelemetry/api').Span} span
+ * @param {import('http').IncomingMessage|import('http').ClientRequest} request
+ */
+const redactSearchText = (span, request) => {
+  if (!/[?&](q|cursor)=/.test(request.url || '')) return;
+  span.setAttribute('http.target', redactSearchParameters(request.url));
+  // Set by the instrumentation; readable on SDK spans only
+  const url = span.attributes && span.attributes['http.url'];
+  if (typeof url === 'string') span.setAttribute('http.url', redactSearchParameters(url));
+};
+
+module.exports = { parseTodoQuery, describeTodoQuery, searchTodos, redactSearchParameters, redactSearchText };
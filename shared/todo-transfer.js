@@ -0,0 +1,270 @@
+const { HttpError, ValidationError, toHttpError } = require('./errors');
+const { validateImportedTodo } = require('./validation');
+
+// Imports are read whole, so they are capped well above what the other routes take
+const IMPORT_MAX_BYTES = '10mb';
+const MAX_IMPORT_TODOS = 10000;
+
+// The request content types `POST /todos/import` reads, by format
+const IMPORT_FORMATS = {
+  'application/json': 'json',
+  'application/x-ndjson': 'ndjson',
+  'text/csv': 'csv'
+};
+
+// The columns of a CSV export, and of the header an imported CSV file starts with
+const CSV_COLUMNS = ['id', 'title', 'description', 'completed', 'createdAt'];
+
+const EXPORT_QUERY_PARAMETERS = ['format'];
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Each format as the text before the first todo, each todo, and the text after the last
+const EXPORT_FORMATS = {
+  json: {
+    contentType: 'application/json',
+    header: '[',
+    line: (todo, position) => `${position > 0 ? ',' : ''}\n${JSON.stringify(todo)}`,
+    footer: '\n]\n'
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson',
+    header: '',
+    line: (todo) => `${JSON.stringify(todo)}\n`,
+    footer: ''
+  },
+  csv: {
+    contentType: 'text/csv',
+    header: `${CSV_COLUMNS.join(',')}\n`,
+    line: (todo) => `${CSV_COLUMNS.map((column) => csvCell(todo[column])).join(',')}\n`,
+    footer: ''
+  }
+};
+
+// RFC 4180: quoted cells may hold commas, line breaks and doubled quotes
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new ValidationError('CSV is invalid', [{ field: 'body', message: 'ends inside a quoted cell' }]);
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  // Blank lines, such as the one after the last row, hold no todo
+  return rows.filter((cells) => cells.length > 1 || cells[0] !== '');
+};
+
+// Every row as an object keyed by the header; empty cells are left out
+const parseCsv = (text) => {
+  const [header, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  if (!header) {
+    throw new ValidationError('CSV is invalid', [{ field: 'body', message: 'has no header row' }]);
+  }
+  const columns = header.map((column) => column.trim());
+
+  return rows.map((cells) => {
+    if (cells.length !== columns.length) {
+      return { error: new ValidationError(`Row has ${cells.length} cells, the header has ${columns.length}`) };
+    }
+    const item = {};
+    columns.forEach((column, i) => {
+      if (cells[i] !== '') item[column] = cells[i];
+    });
+    return { item };
+  });
+};
+
+const parseNdjson = (text) => text
+  .split(/\r?\n/)
+  .filter((line) => line.trim() !== '')
+  .map((line) => {
+    try {
+      return { item: JSON.parse(line) };
+    } catch (error) {
+      return { error: new HttpError(400, 'invalid_json', 'Line is not valid JSON') };
+    }
+  });
+
+const parseJson = (text) => {
+  let items;
+  try {
+    items = JSON.parse(text);
+  } catch (error) {
+    throw new HttpError(400, 'invalid_json', 'Request body is not valid JSON');
+  }
+  if (!Array.isArray(items)) {
+    throw new ValidationError('Import must be a JSON array of todos');
+  }
+  return items.map((item) => ({ item }));
+};
+
+const PARSERS = { json: parseJson, ndjson: parseNdjson, csv: parseCsv };
+
+/**
+ * Reads the body of `POST /todos/import`: a JSON array of todos, one JSON todo per
+ * line, or CSV with a header row naming the columns. Each todo is validated on its
+ * own; one that cannot be read or is invalid comes back with the error it will be
+ * reported with instead of failing the whole import.
+ *
+ * @param {string} text the request body
+ * @param {string|false} contentType the matching key of IMPORT_FORMATS, from `req.is()`
+ * @returns {{ format: string, entries: Array<{ id?: string, todo?: object, error?: HttpError }> }}
+ * @throws {HttpError} 415 for other content types, 400 when the body as a whole cannot be read
+ */
+const parseImport = (text, contentType) => {
+  const format = IMPORT_FORMATS[contentType];
+  if (!format) {
+    throw new HttpError(415, 'unsupported_media_type', `Send the todos as ${Object.keys(IMPORT_FORMATS).join(', ')}`);
+  }
+
+  const parsed = PARSERS[format](typeof text === 'string' ? text : '');
+  if (parsed.length === 0) {
+    throw new ValidationError('Import has no todos');
+  }
+  if (parsed.length > MAX_IMPORT_TODOS) {
+    throw new ValidationError(`Import has ${parsed.length} todos, split it into imports of at most ${MAX_IMPORT_TODOS}`);
+  }
+
+  return {
+    format,
+    entries: parsed.map(({ item, error }) => {
+      if (error) return { error };
+      try {
+        return validateImportedTodo(item);
+      } catch (validationError) {
+        return { error: validationError };
+      }
+    })
+  };
+};
+
+/**
+ * The response of `POST /todos/import`: one item per todo, in the order of the
+ * import, with its id and status or its error.
+ *
+ * @param {ReturnType<typeof parseImport>['entries']} entries
+ * @param {Array<{ id?: string, status: number, error?: { code: string, message: string } }>} results
+ *   what the bulk requests answered for the entries without an error, in order
+ */
+const summarizeImport = (entries, results) => {
+  const pending = [...results];
+  const items = entries.map((entry, index) => {
+    if (!entry.error) return { index, ...pending.shift() };
+    const { statusCode, code, message, details } = toHttpError(entry.error);
+    return { index, status: statusCode, error: { code, message, ...(details ? { details } : {}) } };
+  });
+  const failed = items.filter((item) => item.error).length;
+  return { total: items.length, succeeded: items.length - failed, failed, items };
+};
+
+/**
+ * Validates the query string of `GET /todos/export`.
+ *
+ * - `format`: `json` (default), `ndjson` or `csv`
+ *
+ * @param {object} params `req.query`
+ * @returns {'json'|'ndjson'|'csv'}
+ * @throws {ValidationError}
+ */
+const parseExportQuery = (params) => {
+  const details = Object.keys(params)
+    .filter((name) => !EXPORT_QUERY_PARAMETERS.includes(name))
+    .map((name) => ({ field: name, message: 'is not a supported query parameter' }));
+  const format = params.format === undefined ? 'json' : params.format;
+  if (typeof format !== 'string' || !(format in EXPORT_FORMATS)) {
+    details.push({ field: 'format', message: `must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+  if (details.length > 0) {
+    throw new ValidationError('Query is invalid', details);
+  }
+  return format;
+};
+
+/**
+ * Streams an export to the response in one of EXPORT_FORMATS as the batches come
+ * in. Nothing is sent before the first batch, so an export that fails right away
+ * is still answered with the error envelope.
+ *
+ * @param {import('express').Response} res
+ * @param {keyof EXPORT_FORMATS} format
+ */
+const createExportWriter = (res, format) => {
+  const { contentType, header, line, footer } = EXPORT_FORMATS[format];
+  let position = 0;
+
+  const start = () => {
+    if (res.headersSent) return;
+    res.status(200).attachment(`todos.${format}`).type(contentType);
+    res.write(header);
+  };
+
+  return {
+    // Resolves false once the client has gone, so the export can stop reading
+    write: async (todos) => {
+      start();
+      const flushed = res.write(todos.map((todo) => line(todo, position++)).join(''));
+      if (!flushed && !res.destroyed) {
+        await new Promise((resolve) => {
+          const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+          };
+          res.on('drain', done);
+          res.on('close', done);
+        });
+      }
+      return !res.destroyed;
+    },
+    end: () => {
+      start();
+      res.end(footer);
+    }
+  };
+};
+
+module.exports = {
+  IMPORT_MAX_BYTES,
+  IMPORT_FORMATS,
+  EXPORT_FORMATS,
+  parseImport,
+  summarizeImport,
+  parseExportQuery,
+  createExportWriter
+};
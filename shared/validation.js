@@ -0,0 +1,144 @@
+const { ValidationError } = require('./errors');
+
+const TITLE_MAX_LENGTH = 200;
+const DESCRIPTION_MAX_LENGTH = 2000;
+// Elasticsearch rejects document ids longer than 512 bytes
+const ID_MAX_BYTES = 512;
+
+// The only fields a client may set on a todo; createdAt is always set by the server
+const TODO_FIELDS = {
+  title: (value) => {
+    if (typeof value !== 'string' || value.trim() === '') return 'must be a non-empty string';
+    if (value.trim().length > TITLE_MAX_LENGTH) return `must be at most ${TITLE_MAX_LENGTH} characters`;
+    return undefined;
+  },
+  description: (value) => {
+    if (typeof value !== 'string') return 'must be a string';
+    if (value.length > DESCRIPTION_MAX_LENGTH) return `must be at most ${DESCRIPTION_MAX_LENGTH} characters`;
+    return undefined;
+  },
+  completed: (value) => (typeof value === 'boolean' ? undefined : 'must be true or false')
+};
+
+// Ids Elasticsearch generates use these characters too; anything else could end up
+// in markup or a URL path unescaped
+const IMPORTED_ID_PATTERN = new RegExp(`^[A-Za-z0-9_-]{1,${ID_MAX_BYTES}}$`);
+
+// An import may also keep the id and creation time a todo had where it was exported
+const IMPORTED_TODO_FIELDS = {
+  ...TODO_FIELDS,
+  id: (value) => (typeof value === 'string' && IMPORTED_ID_PATTERN.test(value)
+    ? undefined
+    : `must be 1 to ${ID_MAX_BYTES} letters, digits, "_" or "-"`),
+  createdAt: (value) => (typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? undefined : 'must be an ISO 8601 date')
+};
+
+// Form posts send every value as a string, so the checkbox value is accepted as text too
+const normalize = (body) => {
+  if (body.completed === 'true' || body.completed === 'false') {
+    return { ...body, completed: body.completed === 'true' };
+  }
+  return body;
+};
+
+const validateFields = (body, { required, fields = TODO_FIELDS }) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ValidationError('Request body must be a JSON object');
+  }
+
+  const details = Object.keys(body)
+    .filter((field) => !(field in fields))
+    .map((field) => ({ field, message: 'is not an allowed field' }));
+
+  required
+    .filter((field) => body[field] === undefined)
+    .forEach((field) => details.push({ field, message: 'is required' }));
+
+  Object.entries(fields)
+    .filter(([field]) => body[field] !== undefined)
+    .forEach(([field, check]) => {
+      const message = check(body[field]);
+      if (message) details.push({ field, message });
+    });
+
+  if (details.length > 0) {
+    throw new ValidationError('Todo is invalid', details);
+  }
+};
+
+/**
+ * Validates the body of `POST /add_item` and returns the todo to store.
+ *
+ * @param {*} body parsed request body
+ * @returns {{ title: string, description?: string, completed?: boolean }}
+ * @throws {ValidationError}
+ */
+const validateNewTodo = (body) => {
+  const todo = normalize(body || {});
+  validateFields(todo, { required: ['title'] });
+  return { ...todo, title: todo.title.trim() };
+};
+
+/**
+ * Validates the body of `PATCH /todos/:id` and returns the changes to apply.
+ * At least one field has to be present.
+ *
+ * @param {*} body parsed request body
+ * @returns {{ title?: string, description?: string, completed?: boolean }}
+ * @throws {ValidationError}
+ */
+const validateTodoChanges = (body) => {
+  const changes = normalize(body || {});
+  validateFields(changes, { required: [] });
+  if (Object.keys(changes).length === 0) {
+    throw new ValidationError(`Give at least one of ${Object.keys(TODO_FIELDS).join(', ')}`);
+  }
+  return changes.title === undefined ? changes : { ...changes, title: changes.title.trim() };
+};
+
+/**
+ * Validates one todo of `POST /todos/import` and returns the id to store it under, if
+ * it has one, and the document to store. Besides the fields of `POST /add_item`, it
+ * may have the `id` and `createdAt` it was exported with; `createdAt` defaults to now.
+ *
+ * @param {*} item one parsed todo of the import
+ * @returns {{ id?: string, todo: { title: string, description?: string, completed?: boolean, createdAt: string } }}
+ * @throws {ValidationError}
+ */
+const validateImportedTodo = (item) => {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    throw new ValidationError('Todo must be an object');
+  }
+  const fields = normalize(item);
+  validateFields(fields, { required: ['title'], fields: IMPORTED_TODO_FIELDS });
+  const { id, ...todo } = fields;
+  return {
+    ...(id !== undefined ? { id } : {}),
+    todo: {
+      ...todo,
+      title: todo.title.trim(),
+      createdAt: todo.createdAt ? new Date(todo.createdAt).toISOString() : new Date().toISOString()
+    }
+  };
+};
+
+/**
+ * @param {string} id todo id from the route
+ * @returns {string}
+ * @throws {ValidationError}
+ */
+const validateTodoId = (id) => {
+  if (!id || Buffer.byteLength(id) > ID_MAX_BYTES) {
+    throw new ValidationError(`Todo id must be between 1 and ${ID_MAX_BYTES} bytes`, [{ field: 'id', message: 'is invalid' }]);
+  }
+  return id;
+};
+
+module.exports = {
+  TITLE_MAX_LENGTH,
+  DESCRIPTION_MAX_LENGTH,
+  validateNewTodo,
+  validateTodoChanges,
+  validateImportedTodo,
+  validateTodoId
+};
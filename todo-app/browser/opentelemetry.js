@@ -0,0 +1,12 @@
+// What static/js/telemetry.js imports, bundled from the versions pinned in
+// package.json into static/js/vendor/opentelemetry.js by `npm run build`.
+// All of them come from one OpenTelemetry JS release (1.30.1 / 0.57.2) and the
+// contrib instrumentations built against it, so they share one SDK core.
+export { WebTracerProvider, BatchSpanProcessor } from '@opentelemetry/sdk-trace-web';
+export { ZoneContextManager } from '@opentelemetry/context-zone';
+export { Resource } from '@opentelemetry/resources';
+export { OTLPTraceExporter } from '@opentelemetry/exporter-trace-otlp-http';
+export { registerInstrumentations } from '@opentelemetry/instrumentation';
+export { DocumentLoadInstrumentation } from '@opentelemetry/instrumentation-document-load';
+export { UserInteractionInstrumentation } from '@opentelemetry/instrumentation-user-interaction';
+export { FetchInstrumentation } from '@opentelemetry/instrumentation-fetch';
@@ -0,0 +1,4 @@
+const { start } = require('./start');
+
+// For the tests, which boot the app in process
+module.exports = start('hybrid');
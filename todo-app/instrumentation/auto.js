@@ -0,0 +1,47 @@
+const { trace } = require('@opentelemetry/api');
+const { createLogger } = require('../../shared/logger');
+const { shutdownGlobalTelemetry } = require('../../shared/shutdown');
+const { BaggageSpanProcessor } = require('../../shared/baggage');
+const { createSpanProcessors } = require('../../shared/span-pipeline');
+const { createSampler } = require('../../shared/sampling');
+const { loadConfig } = require('./load-config');
+
+/**
+ * Automatic instrumentation only: the Elastic distribution sets up the SDK from the
+ * OTEL_* and ELASTIC_OTEL_* variables and instruments everything it knows, and the
+ * app starts no spans of its own.
+ */
+const init = () => {
+  const config = loadConfig('AUTO', { defaultServiceName: 'automatic-todo-app' });
+  config.warnings.forEach((warning) => console.log(`⚠️  ${warning}`));
+
+  // The SDK still builds a default sampler from OTEL_TRACES_SAMPLER for every tracer,
+  // and logs an error each time for a value only shared/sampling.js knows. It reads the
+  // variable as it is loaded, so it is loaded once the variable is gone
+  if (config.traces.sampler.name === 'parentbased_rules') delete process.env.OTEL_TRACES_SAMPLER;
+  const { ElasticNodeSDK } = require('@elastic/opentelemetry-node/sdk');
+
+  // The distribution's SDK, started here rather than by requiring the package, which
+  // would also add a SIGTERM listener that exits straight away. It still detects the
+  // resource, picks the instrumentations and sets up logs and metrics from the
+  // environment; only the sampler and the span processors are the shared ones, so
+  // OTEL_TRACES_SAMPLER_RULES apply and spans are redacted on the way out as in the
+  // other modes
+  const sdk = new ElasticNodeSDK({
+    sampler: createSampler(config.traces.sampler),
+    spanProcessors: [new BaggageSpanProcessor(config.baggage.keys), ...createSpanProcessors(config)]
+  });
+  sdk.start();
+
+  return {
+    config,
+    // The distribution registers the OpenTelemetry LoggerProvider, so records logged
+    // here are exported too
+    logger: createLogger({ serviceName: config.serviceName, level: config.logs.level }),
+    tracer: trace.getTracer('todo-app', '1.0.0'),
+    manualSpans: false,
+    shutdownTelemetry: shutdownGlobalTelemetry
+  };
+};
+
+module.exports = { init };
@@ -0,0 +1,135 @@
+const { NodeSDK } = require('@opentelemetry/sdk-node');
+const { Resource } = require('@opentelemetry/resources');
+const { SemanticResourceAttributes } = require('@opentelemetry/semantic-conventions');
+const { getNodeAutoInstrumentations } = require('@opentelemetry/auto-instrumentations-node');
+const { describeTelemetryConfig } = require('../../shared/config');
+const { createLogger } = require('../../shared/logger');
+const { createLoggerProvider } = require('../../shared/logs-pipeline');
+const { createSpanProcessors } = require('../../shared/span-pipeline');
+const { createSampler } = require('../../shared/sampling');
+const { BaggageSpanProcessor } = require('../../shared/baggage');
+const { redactSearchText } = require('../../shared/todo-search');
+const { isHealthCheckRequest } = require('../../shared/health');
+const { createMeterProvider } = require('../../shared/metrics-pipeline');
+const { trace, metrics } = require('@opentelemetry/api');
+const { logs } = require('@opentelemetry/api-logs');
+const { loadConfig } = require('./load-config');
+
+/**
+ * Hybrid instrumentation: the app's own spans on top of every automatic
+ * instrumentation, through the NodeSDK, with metrics exported over OTLP and to
+ * Prometheus.
+ */
+const init = () => {
+  const config = loadConfig('HYBRID', {
+    defaultServiceName: 'hybrid-todo-app',
+    batchDefaults: {
+      maxExportBatchSize: 10,
+      exportTimeoutMillis: 5000,
+      scheduledDelayMillis: 1000
+    },
+    metrics: {
+      exporters: 'otlp,prometheus',
+      exportIntervalMillis: 10000
+    }
+  });
+
+  const resource = new Resource({
+    ...config.resourceAttributes,
+    [SemanticResourceAttributes.SERVICE_NAME]: config.serviceName,
+    [SemanticResourceAttributes.SERVICE_VERSION]: config.serviceVersion,
+    [SemanticResourceAttributes.DEPLOYMENT_ENVIRONMENT]: config.environment,
+  });
+
+  console.log('🚀 [HYBRID] Exporter configured:');
+  describeTelemetryConfig(config).forEach((line) => console.log(line));
+
+  // NodeSDK takes a single metric reader, so the MeterProvider with the OTLP and
+  // Prometheus readers is built here and registered before the instrumentations
+  const meterProvider = createMeterProvider(config, {
+    resource,
+    durationHistograms: ['operation_duration']
+  });
+  metrics.setGlobalMeterProvider(meterProvider);
+
+  const loggerProvider = createLoggerProvider(config, { resource });
+  if (loggerProvider) {
+    logs.setGlobalLoggerProvider(loggerProvider);
+  }
+
+  const spanProcessors = createSpanProcessors(config);
+  const sdk = new NodeSDK({
+    resource: resource,
+    sampler: createSampler(config.traces.sampler),
+    spanProcessors: [new BaggageSpanProcessor(config.baggage.keys), ...spanProcessors],
+    instrumentations: [
+      getNodeAutoInstrumentations({
+        '@opentelemetry/instrumentation-fs': {
+          enabled: false,
+        },
+        '@opentelemetry/instrumentation-http': {
+          // Spans the browser sends through the OTLP proxy are not traced again, and
+          // health probes would only add noise
+          ignoreIncomingRequestHook: (request) => request.url.startsWith('/otel/') || isHealthCheckRequest(request),
+          applyCustomAttributesOnSpan: (span, request, response) => {
+            span.setAttributes({
+              'auto.http.user_agent': request.headers?.['user-agent'] || 'unknown',
+              'auto.http.content_type': response.headers?.['content-type'] || 'unknown',
+            });
+            redactSearchText(span, request);
+          },
+        },
+        '@opentelemetry/instrumentation-express': {
+          applyCustomAttributesOnSpan: (span, request) => {
+            span.setAttributes({
+              'auto.express.request_id': request.headers?.['x-request-id'] || 'unknown',
+              'auto.express.user_ip': request.ip || request.connection?.remoteAddress || 'unknown',
+            });
+          },
+        },
+      }),
+    ],
+  });
+
+  sdk.start();
+  console.log('🚀 [HYBRID] OpenTelemetry tracing initialized');
+  console.log(`   Mode: Automatic + Manual instrumentation`);
+  console.log(`   Auto instrumentations: HTTP, Express, Elasticsearch`);
+
+  const tracer = trace.getTracer('todo-app', '1.0.0');
+
+  // Send a test span to verify the exporter is working
+  setTimeout(() => {
+    const testSpan = tracer.startSpan('test.hybrid_initialization');
+    testSpan.setAttributes({
+      'test.type': 'hybrid_initialization',
+      'test.timestamp': new Date().toISOString(),
+      'instrumentation.mode': 'hybrid'
+    });
+    testSpan.addEvent('Hybrid instrumentation test span');
+    console.log('🧪 [HYBRID] Test span created and ending...');
+    testSpan.end();
+  }, 1000).unref();
+
+  // Flushes whatever is still queued in the batch processors and metric readers, and
+  // stops the exporters, including the Prometheus endpoint
+  const shutdownTelemetry = () => Promise.all([
+    sdk.shutdown(),
+    meterProvider.shutdown(),
+    loggerProvider && loggerProvider.shutdown()
+  ]);
+
+  return {
+    config,
+    logger: createLogger({ serviceName: config.serviceName, level: config.logs.level }),
+    tracer,
+    manualSpans: true,
+    // What the app's attributes were called before the modes shared one app,
+    // exported again with OTEL_SEMCONV_STABILITY_OPT_IN=http/dup,database/dup
+    legacyPrefix: 'manual.',
+    shutdownTelemetry,
+    telemetryStatus: () => spanProcessors.map((processor) => processor.getStatus())
+  };
+};
+
+module.exports = { init };
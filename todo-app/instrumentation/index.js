@@ -0,0 +1,38 @@
+const { ConfigurationError } = require('../../shared/config');
+
+// Each mode is only loaded when picked, since loading an SDK already sets it up
+const MODES = {
+  auto: () => require('./auto'),
+  manual: () => require('./manual'),
+  hybrid: () => require('./hybrid'),
+  none: () => require('./none')
+};
+
+/**
+ * @typedef {object} Instrumentation
+ * @property {string} mode
+ * @property {ReturnType<import('../../shared/config').loadTelemetryConfig>} config
+ * @property {ReturnType<import('../../shared/logger').createLogger>} logger
+ * @property {import('@opentelemetry/api').Tracer} tracer
+ * @property {boolean} manualSpans whether the app starts its own spans around routes and storage calls
+ * @property {string} [legacyPrefix] prefix of the attribute names the mode used before, for dup mode
+ * @property {() => Promise<void>} shutdownTelemetry flushes and shuts down the providers
+ * @property {() => object[]} [telemetryStatus] state of the span exporters, for /healthz
+ */
+
+/**
+ * Sets up the telemetry of one instrumentation mode. It has to run before express,
+ * http and the Elasticsearch client are loaded, so the instrumentations can patch them.
+ *
+ * @param {string} mode one of `auto`, `manual`, `hybrid` or `none`
+ * @returns {Instrumentation}
+ */
+const loadInstrumentation = (mode) => {
+  const load = MODES[mode];
+  if (!load) {
+    throw new ConfigurationError(`Unknown INSTRUMENTATION_MODE "${mode}", expected one of: ${Object.keys(MODES).join(', ')}`);
+  }
+  return { mode, ...load().init() };
+};
+
+module.exports = { loadInstrumentation };
@@ -0,0 +1,23 @@
+const { loadTelemetryConfig, ConfigurationError } = require('../../shared/config');
+
+/**
+ * Loads the telemetry configuration for one instrumentation mode, and stops the
+ * process with the reason when it is invalid.
+ *
+ * @param {string} label printed with the error, e.g. `MANUAL`
+ * @param {Parameters<typeof loadTelemetryConfig>[0]} options
+ * @returns {ReturnType<typeof loadTelemetryConfig>}
+ */
+const loadConfig = (label, options) => {
+  try {
+    return loadTelemetryConfig(options);
+  } catch (error) {
+    if (error instanceof ConfigurationError) {
+      console.error(`❌ [${label}] Invalid telemetry configuration: ${error.message}`);
+      process.exit(1);
+    }
+    throw error;
+  }
+};
+
+module.exports = { loadConfig };
@@ -0,0 +1,122 @@
+const { Resource } = require('@opentelemetry/resources');
+const { SemanticResourceAttributes } = require('@opentelemetry/semantic-conventions');
+const { NodeTracerProvider } = require('@opentelemetry/sdk-trace-node');
+const { HttpInstrumentation } = require('@opentelemetry/instrumentation-http');
+const { ExpressInstrumentation } = require('@opentelemetry/instrumentation-express');
+const { registerInstrumentations } = require('@opentelemetry/instrumentation');
+const { trace } = require('@opentelemetry/api');
+const { logs } = require('@opentelemetry/api-logs');
+const { describeTelemetryConfig } = require('../../shared/config');
+const { createLogger } = require('../../shared/logger');
+const { createLoggerProvider } = require('../../shared/logs-pipeline');
+const { createSpanProcessors } = require('../../shared/span-pipeline');
+const { createSampler } = require('../../shared/sampling');
+const { BaggageSpanProcessor } = require('../../shared/baggage');
+const { redactSearchText } = require('../../shared/todo-search');
+const { isHealthCheckRequest } = require('../../shared/health');
+const { loadConfig } = require('./load-config');
+
+/**
+ * Manual instrumentation: the app's own spans around every route and storage call,
+ * on a tracer provider set up here, with only the HTTP and Express instrumentations
+ * underneath them.
+ */
+const init = () => {
+  const config = loadConfig('MANUAL', {
+    defaultServiceName: 'manual-todo-app',
+    // Small, frequent batches so spans show up in APM while following the tutorial
+    batchDefaults: {
+      maxExportBatchSize: 5,
+      exportTimeoutMillis: 3000,
+      scheduledDelayMillis: 500
+    }
+  });
+
+  const resource = new Resource({
+    ...config.resourceAttributes,
+    [SemanticResourceAttributes.SERVICE_NAME]: config.serviceName,
+    [SemanticResourceAttributes.SERVICE_VERSION]: config.serviceVersion,
+    [SemanticResourceAttributes.DEPLOYMENT_ENVIRONMENT]: config.environment,
+  });
+
+  const provider = new NodeTracerProvider({
+    resource: resource,
+    sampler: createSampler(config.traces.sampler),
+  });
+
+  console.log('🚀 [MANUAL] Exporter configured:');
+  describeTelemetryConfig(config).forEach((line) => console.log(line));
+
+  // One processor per exporter, so each span is exported once to each destination
+  const spanProcessors = createSpanProcessors(config);
+  provider.addSpanProcessor(new BaggageSpanProcessor(config.baggage.keys));
+  spanProcessors.forEach((processor) => provider.addSpanProcessor(processor));
+  provider.register();
+
+  const loggerProvider = createLoggerProvider(config, { resource });
+  if (loggerProvider) {
+    logs.setGlobalLoggerProvider(loggerProvider);
+  }
+
+  // Add global error handling
+  process.on('unhandledRejection', (reason, promise) => {
+    if (reason && reason.toString().includes('OTLP')) {
+      console.log('❌ [MANUAL] OTLP Export Error:', reason);
+    }
+  });
+
+  registerInstrumentations({
+    instrumentations: [
+      new HttpInstrumentation({
+        // Spans the browser sends through the OTLP proxy are not traced again, and
+        // health probes would only add noise
+        ignoreIncomingRequestHook: (request) => request.url.startsWith('/otel/') || isHealthCheckRequest(request),
+        // The instrumentation's own names are moved to the stable semantic conventions
+        // on export, see shared/semconv.js
+        applyCustomAttributesOnSpan: (span, request) => redactSearchText(span, request),
+      }),
+      new ExpressInstrumentation({
+        applyCustomAttributesOnSpan: (span, request) => {
+          span.setAttributes({
+            'express.route': request.route?.path || 'unknown',
+            'express.method': request.method,
+          });
+        },
+      }),
+    ],
+  });
+
+  console.log('🚀 [MANUAL] OpenTelemetry tracing initialized');
+  console.log(`   Instrumentations: HTTP, Express`);
+
+  const tracer = trace.getTracer('todo-app', '1.0.0');
+
+  // Send a test span to verify the exporter is working
+  setTimeout(() => {
+    const testSpan = tracer.startSpan('test.initialization');
+    testSpan.setAttributes({
+      'test.type': 'initialization',
+      'test.timestamp': new Date().toISOString()
+    });
+    testSpan.addEvent('Manual instrumentation test span');
+    console.log('🧪 [MANUAL] Test span created and ending...');
+    testSpan.end();
+  }, 1000).unref();
+
+  // Flushes whatever is still queued in the batch processors and stops the exporters
+  const shutdownTelemetry = () => Promise.all([
+    provider.shutdown(),
+    loggerProvider && loggerProvider.shutdown()
+  ]);
+
+  return {
+    config,
+    logger: createLogger({ serviceName: config.serviceName, level: config.logs.level }),
+    tracer,
+    manualSpans: true,
+    shutdownTelemetry,
+    telemetryStatus: () => spanProcessors.map((processor) => processor.getStatus())
+  };
+};
+
+module.exports = { init };
@@ -0,0 +1,23 @@
+const { trace } = require('@opentelemetry/api');
+const { createLogger } = require('../../shared/logger');
+const { loadConfig } = require('./load-config');
+
+/**
+ * No instrumentation: no SDK is started, so every span and metric goes to the
+ * no-op implementations of the API. The baseline the other modes are compared to.
+ */
+const init = () => {
+  // Only used by the browser telemetry proxy and for the log level
+  const config = loadConfig('NONE', { defaultServiceName: 'todo-app' });
+  config.warnings.forEach((warning) => console.log(`⚠️  ${warning}`));
+
+  return {
+    config,
+    logger: createLogger({ serviceName: config.serviceName, level: config.logs.level }),
+    tracer: trace.getTracer('todo-app', '1.0.0'),
+    manualSpans: false,
+    shutdownTelemetry: async () => {}
+  };
+};
+
+module.exports = { init };
@@ -0,0 +1,475 @@
+const express = require('express');
+const path = require('path');
+const bodyParser = require('body-parser');
+const cors = require('cors');
+const { trace, metrics, SpanKind } = require('@opentelemetry/api');
+const { createStorageClient } = require('../shared/storage');
+const { createInstrumentation } = require('../shared/instrumentation');
+const { createSemanticAttributes } = require('../shared/semconv');
+const { createOtlpProxy } = require('../shared/otlp-proxy');
+const { createErrorHandler } = require('../shared/errors');
+const { validateNewTodo, validateTodoChanges, validateTodoId } = require('../shared/validation');
+const { parseTodoQuery, describeTodoQuery } = require('../shared/todo-search');
+const {
+  IMPORT_MAX_BYTES,
+  IMPORT_FORMATS,
+  parseImport,
+  summarizeImport,
+  parseExportQuery,
+  createExportWriter
+} = require('../shared/todo-transfer');
+const { registerGracefulShutdown } = require('../shared/shutdown');
+const { createHealthChecks } = require('../shared/health');
+const { createBaggageMiddleware } = require('../shared/baggage');
+const { createTodoService } = require('./todos');
+
+const PORT = parseInt(process.env.PORT || '8081');
+const INDEX = process.env.indexName || 'todos';
+const ACTIVE_TODOS_RECONCILE_INTERVAL = parseInt(process.env.ACTIVE_TODOS_RECONCILE_INTERVAL || '60000');
+const IMPORT_BATCH_SIZE = parseInt(process.env.IMPORT_BATCH_SIZE || '500');
+const EXPORT_BATCH_SIZE = parseInt(process.env.EXPORT_BATCH_SIZE || '1000');
+
+/**
+ * Builds the todo app on top of one instrumentation mode and starts listening. The
+ * routes and storage calls are the same in every mode; the mode decides whether
+ * they get spans of their own (manual, hybrid), spans from the instrumentations only
+ * (auto), or none at all.
+ *
+ * @param {import('./instrumentation').Instrumentation} instrumentation
+ * @returns {{ app: import('express').Express, server: import('http').Server }}
+ */
+const startServer = ({ mode, config, logger, tracer, manualSpans, legacyPrefix, shutdownTelemetry, telemetryStatus }) => {
+  const app = express();
+  // Browser spans are forwarded with the server's credentials; registered before the
+  // body parsers because the proxy reads and limits the body itself
+  app.post('/otel/v1/traces', createOtlpProxy({ config, logger }));
+  // Imports are read as text in every format, with a larger limit than the JSON
+  // parser's; the parsers below skip a body that has already been read
+  app.post('/todos/import', bodyParser.text({ type: Object.keys(IMPORT_FORMATS), limit: IMPORT_MAX_BYTES }));
+  app.use(bodyParser.json());
+  app.use(bodyParser.urlencoded({ extended: false }));
+  app.use(cors());
+  app.use(express.static('public'));
+  app.use('/static', express.static(path.join(__dirname, 'static')));
+  // Found from this file, whatever folder the app is started from
+  app.set('views', path.join(__dirname, 'views'));
+  app.set('view engine', 'html');
+
+  app.use(function (req, res, next) {
+    res.header("Access-Control-Allow-Origin", "*");
+    res.header("Access-Control-Allow-Headers", "*");
+    res.header("Access-Control-Allow-Methods", "*");
+    next();
+  });
+
+  // Tenant, user and calling app from the request, on every span and outgoing call
+  app.use(createBaggageMiddleware({ keys: config.baggage.keys }));
+
+  const client = createStorageClient({ logger });
+
+  const health = createHealthChecks({ client, index: INDEX, logger, telemetryStatus });
+  app.get('/healthz', health.liveness);
+  app.get('/readyz', health.readiness);
+  // Everything registered after this answers 503 until the index is set up
+  app.use(health.requireIndex);
+
+  // A no-op meter unless the mode registers a MeterProvider
+  const meter = metrics.getMeter('todo-app', '1.0.0');
+  const operationDuration = meter.createHistogram('operation_duration', {
+    description: 'Duration of operations in milliseconds',
+    unit: 'ms',
+  });
+
+  const { withSpan } = createInstrumentation({ tracer, logger, operationDuration, spans: manualSpans });
+  const semantic = createSemanticAttributes(config.semconv, { legacyPrefix });
+  const todos = createTodoService({ client, index: INDEX, withSpan, semantic, logger, meter });
+
+  app.get('/', async (req, res, next) => {
+    try {
+      await withSpan('http.get.homepage', {
+        kind: SpanKind.SERVER,
+        attributes: {
+          ...semantic.http(req, '/'),
+          'user_agent.original': req.get('User-Agent')
+        }
+      }, async (span) => {
+        const { todos: loaded } = await todos.getTodos(parseTodoQuery({}), { paginate: false });
+        span.setAttributes({
+          'todos.loaded.count': loaded.length
+        });
+
+        span.addEvent('Serving homepage with todos');
+        res.sendFile('index.html', { root: path.join(__dirname, 'static') });
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get('/add_item', async (req, res, next) => {
+    try {
+      await withSpan('http.get.add_item', {
+        kind: SpanKind.SERVER,
+        attributes: {
+          ...semantic.http(req, '/add_item')
+        }
+      }, async () => {
+        res.render('add_item');
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get('/get_todos', async (req, res, next) => {
+    try {
+      const query = parseTodoQuery(req.query);
+      // The shape of the query goes on the HTTP span of the instrumentation in every
+      // mode; the query text itself stays out of it
+      trace.getActiveSpan()?.setAttributes(describeTodoQuery(query));
+
+      await withSpan('http.get.get_todos', {
+        kind: SpanKind.SERVER,
+        attributes: {
+          ...semantic.http(req, '/get_todos')
+        }
+      }, async (httpSpan) => {
+        // Business logic span for the todo operation, child of the HTTP span
+        const page = await withSpan('todo.action.get_all', {
+          attributes: {
+            'action.type': 'read',
+            'action.name': 'get_all_todos',
+            'user.operation': query.text ? 'search_todos' : 'list_todos'
+          }
+        }, async (todoSpan) => {
+          todoSpan.addEvent('Starting todo retrieval operation');
+
+          const page = await todos.getTodos(query);
+
+          todoSpan.setAttributes({
+            'todos.retrieved.count': page.todos.length,
+            'operation.success': true
+          });
+
+          todoSpan.addEvent('Todo retrieval completed', {
+            'todos.count': page.todos.length,
+            'operation.result': 'success'
+          });
+
+          return page;
+        });
+
+        httpSpan.setAttributes({
+          'response.todos.count': page.todos.length,
+          'business.operation': 'get_all_todos'
+        });
+
+        res.json({ todos: page.todos, total: page.total, next: page.next });
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post('/add_item', async (req, res, next) => {
+    try {
+      await withSpan('http.post.add_item', {
+        kind: SpanKind.SERVER,
+        attributes: {
+          ...semantic.http(req, '/add_item')
+        }
+      }, async (httpSpan) => {
+        const input = validateNewTodo(req.body);
+        httpSpan.setAttribute('todo.title', input.title);
+        logger.info('Creating todo', { 'todo.title': input.title });
+
+        // Business logic span for the add todo operation, child of the HTTP span
+        const response = await withSpan('todo.action.add', {
+          attributes: {
+            'action.type': 'create',
+            'action.name': 'add_todo',
+            'user.operation': 'create_todo',
+            'todo.title': input.title,
+            'todo.description': input.description || 'no description'
+          }
+        }, async (addTodoSpan) => {
+          addTodoSpan.addEvent('Starting todo creation', {
+            'todo.title': input.title,
+            'todo.description': input.description,
+            'request.timestamp': new Date().toISOString()
+          });
+
+          const todo = { ...input, createdAt: new Date() };
+          httpSpan.setAttributes({
+            'todo.description': input.description,
+            'business.operation': 'add_todo'
+          });
+
+          const response = await todos.addTodo(todo);
+
+          addTodoSpan.setAttributes({
+            'todo.created.id': response._id,
+            'todo.created.result': response.result,
+            'operation.success': true
+          });
+
+          addTodoSpan.addEvent('Todo creation completed', {
+            'todo.id': response._id,
+            'elasticsearch.result': response.result,
+            'operation.result': 'success'
+          });
+
+          return response;
+        });
+
+        httpSpan.setAttributes({
+          'response.todo.id': response._id
+        });
+
+        res.send({ 'new_todo_id': response._id });
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.delete('/delete/:id', async (req, res, next) => {
+    const id = req.params.id;
+
+    try {
+      await withSpan('http.delete.delete_todo', {
+        kind: SpanKind.SERVER,
+        attributes: {
+          ...semantic.http(req, '/delete/:id'),
+          'todo.id': id
+        }
+      }, async (httpSpan) => {
+        validateTodoId(id);
+        logger.info('Deleting todo', { 'todo.id': id });
+
+        // Business logic span for the delete todo operation, child of the HTTP span
+        await withSpan('todo.action.delete', {
+          attributes: {
+            'action.type': 'delete',
+            'action.name': 'delete_todo',
+            'user.operation': 'remove_todo',
+            'todo.id': id
+          }
+        }, async (deleteTodoSpan) => {
+          deleteTodoSpan.addEvent('Starting todo deletion', {
+            'todo.id': id,
+            'request.timestamp': new Date().toISOString()
+          });
+
+          await todos.deleteTodo(id);
+
+          deleteTodoSpan.setAttributes({
+            'todo.deleted.id': id,
+            'operation.success': true
+          });
+
+          deleteTodoSpan.addEvent('Todo deletion completed', {
+            'todo.id': id,
+            'operation.result': 'success'
+          });
+        });
+
+        httpSpan.setAttributes({
+          'business.operation': 'delete_todo',
+          'operation.success': true
+        });
+
+        httpSpan.addEvent('Todo deleted successfully');
+        res.status(200).json({'deleted': id});
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.patch('/todos/:id', async (req, res, next) => {
+    const id = req.params.id;
+
+    try {
+      await withSpan('http.patch.update_todo', {
+        kind: SpanKind.SERVER,
+        attributes: {
+          ...semantic.http(req, '/todos/:id'),
+          'todo.id': id
+        }
+      }, async (httpSpan) => {
+        validateTodoId(id);
+        const changes = validateTodoChanges(req.body);
+
+        // Business logic span for the update todo operation, child of the HTTP span
+        const response = await withSpan('todo.action.update', {
+          attributes: {
+            'action.type': 'update',
+            'action.name': 'update_todo',
+            'user.operation': 'edit_todo',
+            'todo.id': id,
+            'todo.updated.fields': Object.keys(changes).join(',')
+          }
+        }, async (updateTodoSpan) => {
+          updateTodoSpan.addEvent('Starting todo update', {
+            'todo.id': id,
+            'request.timestamp': new Date().toISOString()
+          });
+
+          const response = await todos.updateTodo(id, changes);
+
+          updateTodoSpan.setAttributes({
+            'todo.updated.result': response.result,
+            'operation.success': true
+          });
+
+          if (changes.completed !== undefined) {
+            updateTodoSpan.setAttribute('todo.completed', changes.completed);
+          }
+
+          updateTodoSpan.addEvent('Todo update completed', {
+            'todo.id': id,
+            'elasticsearch.result': response.result,
+            'operation.result': 'success'
+          });
+
+          return response;
+        });
+
+        httpSpan.setAttributes({
+          'business.operation': 'update_todo',
+          'operation.success': true
+        });
+
+        res.status(200).json({ 'updated': id, ...changes });
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post('/todos/import', async (req, res, next) => {
+    try {
+      await withSpan('http.post.import_todos', {
+        kind: SpanKind.SERVER,
+        attributes: {
+          ...semantic.http(req, '/todos/import')
+        }
+      }, async (httpSpan) => {
+        const { format, entries } = parseImport(req.body, req.is(Object.keys(IMPORT_FORMATS)));
+        const valid = entries.filter((entry) => !entry.error);
+        logger.info('Importing todos', { 'todos.import.format': format, 'todos.import.total': entries.length });
+
+        // Business logic span for the import, parent of one span per bulk request
+        const summary = await withSpan('todo.action.import', {
+          attributes: {
+            'action.type': 'create',
+            'action.name': 'import_todos',
+            'user.operation': 'import_todos',
+            'todos.import.format': format,
+            'todos.import.total': entries.length,
+            'todos.import.invalid': entries.length - valid.length,
+            'todos.import.batch_size': IMPORT_BATCH_SIZE
+          }
+        }, async (importSpan) => {
+          const { results, batches } = await todos.importTodos(valid, { batchSize: IMPORT_BATCH_SIZE });
+          const summary = summarizeImport(entries, results);
+
+          importSpan.setAttributes({
+            'todos.import.batches': batches,
+            'todos.import.succeeded': summary.succeeded,
+            'todos.import.failed': summary.failed,
+            'operation.success': summary.failed === 0
+          });
+
+          importSpan.addEvent('Todo import completed', {
+            'todos.import.succeeded': summary.succeeded,
+            'todos.import.failed': summary.failed
+          });
+
+          return summary;
+        });
+
+        httpSpan.setAttributes({
+          'business.operation': 'import_todos',
+          'todos.import.succeeded': summary.succeeded,
+          'todos.import.failed': summary.failed
+        });
+
+        res.status(200).json(summary);
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get('/todos/export', async (req, res, next) => {
+    try {
+      await withSpan('http.get.export_todos', {
+        kind: SpanKind.SERVER,
+        attributes: {
+          ...semantic.http(req, '/todos/export')
+        }
+      }, async (httpSpan) => {
+        const format = parseExportQuery(req.query);
+        const writer = createExportWriter(res, format);
+
+        // Business logic span for the export, parent of one span per batch read
+        const { exported, batches } = await withSpan('todo.action.export', {
+          attributes: {
+            'action.type': 'read',
+            'action.name': 'export_todos',
+            'user.operation': 'export_todos',
+            'todos.export.format': format,
+            'todos.export.batch_size': EXPORT_BATCH_SIZE
+          }
+        }, async (exportSpan) => {
+          const result = await todos.exportTodos(writer.write, { batchSize: EXPORT_BATCH_SIZE });
+
+          exportSpan.setAttributes({
+            'todos.export.count': result.exported,
+            'todos.export.batches': result.batches,
+            'operation.success': true
+          });
+
+          return result;
+        });
+
+        httpSpan.setAttributes({
+          'business.operation': 'export_todos',
+          'todos.export.count': exported,
+          'todos.export.batches': batches
+        });
+
+        writer.end();
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Registered last so it receives the errors every route passes to next()
+  app.use(createErrorHandler({ logger }));
+
+  const server = app.listen(PORT, () => {
+    health.runIndexSetup(todos.checkAndCreateIndex).then(todos.reconcileActiveTodos);
+    setInterval(todos.reconcileActiveTodos, ACTIVE_TODOS_RECONCILE_INTERVAL).unref();
+    logger.info(`Todo app listening on http://localhost:${PORT} with ${mode} instrumentation`, {
+      'server.port': PORT,
+      'instrumentation.mode': mode
+    });
+  });
+
+  registerGracefulShutdown({
+    server,
+    logger,
+    tracer,
+    shutdownTelemetry,
+    closeStorage: () => client.close(),
+    onShutdown: health.markShuttingDown
+  });
+
+  return { app, server };
+};
+
+module.exports = { startServer };
@@ -0,0 +1,38 @@
+const { loadInstrumentation } = require('./instrumentation');
+const { ConfigurationError, normalizeHeaderVariables } = require('../shared/config');
+
+/**
+ * Starts the todo app with the instrumentation mode from INSTRUMENTATION_MODE, or
+ * `defaultMode` when it is not set. The folder of each approach calls this with its
+ * own default, so its `.env` can still pick another mode.
+ *
+ * @param {string} defaultMode
+ * @returns {ReturnType<import('./server')['startServer']>}
+ */
+const start = (defaultMode) => {
+  // Load .env before the instrumentation so the SDKs see the OTEL_* variables
+  require('dotenv').config();
+
+  // The SDKs read the OTLP header variables themselves, so a legacy bare `ApiKey ...`
+  // value is rewritten in process.env here, once, before any of them starts
+  const headers = normalizeHeaderVariables(process.env);
+  headers.warnings.forEach((warning) => console.log(`⚠️  ${warning}`));
+  Object.assign(process.env, headers.variables);
+
+  let instrumentation;
+  try {
+    instrumentation = loadInstrumentation((process.env.INSTRUMENTATION_MODE || defaultMode).trim().toLowerCase());
+  } catch (error) {
+    if (error instanceof ConfigurationError) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+    throw error;
+  }
+
+  // Loaded once the instrumentation is in place, so express and http are patched
+  const { startServer } = require('./server');
+  return startServer(instrumentation);
+};
+
+module.exports = { start };
@@ -0,0 +1,269 @@
+
+const ul = document.querySelector('ul');
+const todosListDiv = document.querySelector('div[name="todos-list"]');
+const addButton = document.querySelector('button[name="add"]');
+const addForm = document.querySelector('div[name="add-div"]');
+const addSubmitButton = document.querySelector('button[name="add-submit"]');
+const searchForm = document.querySelector('form[name="search-form"]');
+const todosCount = document.querySelector('p[name="todos-count"]');
+const loadMoreButton = document.querySelector('button[name="load-more"]');
+
+const API_BASE_URL = `${window.location.protocol}//${window.location.hostname}:${window.location.port}`;
+
+// Errors come back as { error: { status, code, message, details } }
+function parseResponse(response) {
+  return response.json().then(data => {
+    if (!response.ok) {
+      const { message, details = [] } = data.error || {};
+      const problems = details.map(detail => `${detail.field} ${detail.message}`);
+      throw new Error([message || `Request failed with status ${response.status}`, ...problems].join('\n'));
+    }
+    return data;
+  });
+}
+
+function updateTodo(id, changes) {
+  return fetch(`${API_BASE_URL}/todos/${encodeURIComponent(id)}`, {
+    method: 'PATCH',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(changes),
+  })
+    .then(parseResponse);
+}
+
+// Highlights come back as text with the matched words wrapped in <mark>; they are
+// rebuilt as DOM nodes so the rest of the text is never parsed as HTML
+function showHighlighted(element, text, fragments) {
+  element.textContent = '';
+  const parts = (fragments ? fragments[0] : text || '').split(/<mark>(.*?)<\/mark>/);
+  parts.forEach((part, i) => {
+    if (i % 2 === 0) {
+      element.append(part);
+    } else {
+      const mark = document.createElement('mark');
+      mark.textContent = part;
+      element.append(mark);
+    }
+  });
+}
+
+function renderTodo(todo) {
+  const li = document.createElement('li');
+  li.setAttribute('class', 'bg-white p-4 rounded shadow flex justify-between items-center');
+  li.innerHTML = `
+    <div name="view" class="flex items-center">
+      <input type="checkbox" name="completed" style="margin-right: 0.75rem;">
+      <div>
+        <span name="title" class="font-semibold"></span> - <span name="description"></span>
+      </div>
+    </div>
+    <div name="edit" class="w-full" style="display: none; margin-right: 0.75rem;">
+      <input type="text" name="edit_title" class="mt-1 p-2 block w-full border border-gray-300 rounded-md">
+      <textarea name="edit_description" class="mt-1 p-2 block w-full border border-gray-300 rounded-md"></textarea>
+    </div>
+    <div class="flex items-center">
+      <button
+        type="button"
+        name="edit"
+        class="text-gray-700 bg-gray-100 rounded px-3 py-1"
+        style="margin-right: 0.5rem;">Edit
+      </button>
+      <button
+        type="button"
+        name="save"
+        class="bg-blue-500 text-white rounded px-3 py-1"
+        style="display: none; margin-right: 0.5rem;">Save
+      </button>
+      <button
+        type="submit"
+        name="delete"
+        class="text-red-500 hover:text-red-700 bg-red-100 hover:bg-red-200 rounded px-3 py-1">Delete
+      </button>
+    </div>`;
+
+  const viewDiv = li.querySelector('div[name="view"]');
+  const editDiv = li.querySelector('div[name="edit"]');
+  const checkbox = li.querySelector('input[name="completed"]');
+  const titleSpan = li.querySelector('span[name="title"]');
+  const descriptionSpan = li.querySelector('span[name="description"]');
+  const editButton = li.querySelector('button[name="edit"]');
+  const saveButton = li.querySelector('button[name="save"]');
+  const deleteButton = li.querySelector('button[name="delete"]');
+  // Set as an attribute, never inside the markup above, whatever characters it has
+  deleteButton.setAttribute('id', todo.id);
+
+  const showTodo = () => {
+    const highlight = todo.highlight || {};
+    showHighlighted(titleSpan, todo.title, highlight.title);
+    showHighlighted(descriptionSpan, todo.description, highlight.description);
+    checkbox.checked = Boolean(todo.completed);
+    viewDiv.style.textDecoration = todo.completed ? 'line-through' : 'none';
+  };
+  showTodo();
+
+  checkbox.addEventListener('change', () => {
+    const completed = checkbox.checked;
+    updateTodo(todo.id, { completed })
+      .then(data => {
+        console.log(data)
+        todo.completed = completed;
+        showTodo();
+      })
+      .catch(error => {
+        console.error(error);
+        checkbox.checked = !completed;
+      });
+  });
+
+  editButton.addEventListener('click', (event) => {
+    event.preventDefault();
+    const editing = editDiv.style.display === 'none';
+    li.querySelector('input[name="edit_title"]').value = todo.title || '';
+    li.querySelector('textarea[name="edit_description"]').value = todo.description || '';
+    editDiv.style.display = editing ? 'block' : 'none';
+    viewDiv.style.display = editing ? 'none' : 'flex';
+    saveButton.style.display = editing ? 'inline-block' : 'none';
+    editButton.textContent = editing ? 'Cancel' : 'Edit';
+  });
+
+  saveButton.addEventListener('click', (event) => {
+    event.preventDefault();
+    const title = li.querySelector('input[name="edit_title"]').value;
+    const description = li.querySelector('textarea[name="edit_description"]').value;
+    updateTodo(todo.id, { title, description })
+      .then(data => {
+        console.log(data)
+        todo.title = title;
+        todo.description = description;
+        delete todo.highlight;
+        showTodo();
+        editButton.click();
+      })
+      .catch(error => {
+        console.error(error);
+        window.alert(error.message);
+      });
+  });
+
+  deleteButton.addEventListener('click', (event) => {
+    event.preventDefault(); // Prevent default form submission
+    let id = event.target.id
+    console.log(id)
+    fetch(`${API_BASE_URL}/delete/${encodeURIComponent(id)}`, {
+      method: 'DELETE',
+      headers: {
+        'Content-Type': 'application/json',
+      }
+    })
+      .then(parseResponse)
+      .then(data => {
+        console.log(data)
+        li.remove();
+      })
+      .catch(error => {
+        // Handle errors
+        console.error(error);
+      });
+  });
+
+  ul.appendChild(li);
+}
+
+// The cursor of the next page of the current search, null on the last page
+let nextCursor = null;
+
+function showPage(data, append) {
+  if (!append) ul.textContent = '';
+  data.todos.forEach(renderTodo);
+  nextCursor = data.next;
+  todosCount.textContent = `Showing ${ul.children.length} of ${data.total}`;
+  loadMoreButton.style.display = nextCursor ? 'inline-block' : 'none';
+}
+
+function loadTodos() {
+  const params = new URLSearchParams();
+  const q = searchForm.elements.q.value.trim();
+  if (q) params.set('q', q);
+  if (searchForm.elements.completed.value) params.set('completed', searchForm.elements.completed.value);
+  params.set('sort', searchForm.elements.sort.value);
+
+  return fetch(`${API_BASE_URL}/get_todos?${params}`)
+    .then(parseResponse)
+    .then(data => {
+      console.log(data)
+      showPage(data, false);
+    })
+    .catch(error => {
+      // Handle errors
+      console.error(error);
+    });
+}
+
+loadMoreButton.addEventListener('click', (event) => {
+  event.preventDefault();
+  fetch(`${API_BASE_URL}/get_todos?${new URLSearchParams({ cursor: nextCursor })}`)
+    .then(parseResponse)
+    .then(data => showPage(data, true))
+    .catch(error => {
+      console.error(error);
+      // An expired cursor means starting over
+      loadTodos();
+    });
+});
+
+let searchTimer;
+searchForm.elements.q.addEventListener('input', () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(loadTodos, 300);
+});
+searchForm.elements.completed.addEventListener('change', loadTodos);
+searchForm.elements.sort.addEventListener('change', loadTodos);
+searchForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+  loadTodos();
+});
+
+loadTodos();
+
+addButton.addEventListener('click', (event) => {
+  event.preventDefault();
+  console.log('Add New Item Clicked')
+
+  addForm.style.display = 'block';
+  todosListDiv.style.display = 'none';
+});
+
+addSubmitButton.addEventListener('click', (event) => {
+  event.preventDefault(); // Prevent default form submission
+  console.log(event)
+
+  let title = document.querySelector('input[name="new_title"]').value;
+  let description = document.querySelector('textarea[name="new_description"]').value;
+  const todo = { title, description };
+  console.log(todo)
+  fetch(`${API_BASE_URL}/add_item`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(todo),
+  })
+    .then(parseResponse)
+    .then(data => {
+      console.log(data)
+
+      addForm.style.display = 'none';
+      todosListDiv.style.display = 'block';
+
+      // Reloaded so the new todo lands where the current search and sort put it
+      loadTodos();
+      document.querySelector('input[name="new_title"]').value = '';
+      document.querySelector('textarea[name="new_description"]').value = '';
+    })
+    .catch(error => {
+      console.error(error);
+      window.alert(error.message);
+    });
+});
@@ -0,0 +1,51 @@
+// Browser tracing for the todo page. Loaded as a module before app.js, so the
+// fetch calls app.js makes are already instrumented. Spans are sent to this
+// server's /otel/v1/traces route, which forwards them with the server's credentials.
+
+// The OpenTelemetry packages come bundled from npm, see browser/package.json
+import {
+  WebTracerProvider,
+  BatchSpanProcessor,
+  ZoneContextManager,
+  Resource,
+  OTLPTraceExporter,
+  registerInstrumentations,
+  DocumentLoadInstrumentation,
+  UserInteractionInstrumentation,
+  FetchInstrumentation,
+} from './vendor/opentelemetry.js';
+
+const SERVICE_NAME = 'todo-frontend';
+const EXPORT_URL = `${window.location.origin}/otel/v1/traces`;
+
+const provider = new WebTracerProvider({
+  resource: new Resource({
+    'service.name': SERVICE_NAME,
+  }),
+});
+
+provider.addSpanProcessor(new BatchSpanProcessor(new OTLPTraceExporter({ url: EXPORT_URL }), {
+  scheduledDelayMillis: 1000,
+}));
+
+// The zone keeps the click span active across the promise callbacks in app.js,
+// so a fetch started from a click handler becomes a child of that click
+provider.register({ contextManager: new ZoneContextManager() });
+
+registerInstrumentations({
+  instrumentations: [
+    new DocumentLoadInstrumentation(),
+    new UserInteractionInstrumentation({
+      // `change` covers the completed checkbox
+      eventNames: ['click', 'change'],
+    }),
+    new FetchInstrumentation({
+      // Same-origin requests get a traceparent header by default; nothing else is
+      // called from this page, so no cross-origin URLs are listed
+      ignoreUrls: [/\/otel\/v1\//],
+      clearTimingResources: true,
+    }),
+  ],
+});
+
+console.log(`Browser tracing initialized, exporting to ${EXPORT_URL}`);
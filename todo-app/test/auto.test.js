@@ -0,0 +1,161 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert/strict');
+const path = require('path');
+const { setTimeout } = require('timers/promises');
+const { SpanKind, SpanStatusCode } = require('@opentelemetry/api');
+const { startApp, expectSpan, attribute } = require('../../shared/testing/harness');
+
+// Booted under the Elastic distribution, so these are the spans it produces while
+// the app starts none of its own
+describe('automatic instrumentation', () => {
+  let app;
+  // Registered before the app starts, as another library's would be
+  const otherSigtermListener = () => {};
+
+  before(async () => {
+    process.on('SIGTERM', otherSigtermListener);
+    app = await startApp({
+      appDir: path.join(__dirname, '..'),
+      // Exported to the fake cluster, so what leaves the process can be checked, and
+      // sampled by a rule that keeps what the default ratio of 1 would keep anyway
+      env: {
+        INSTRUMENTATION_MODE: 'auto',
+        OTEL_TRACES_EXPORTER: 'otlp',
+        OTEL_TRACES_SAMPLER: '',
+        OTEL_TRACES_SAMPLER_RULES: 'POST /add_item=1'
+      }
+    });
+  });
+
+  after(() => {
+    process.off('SIGTERM', otherSigtermListener);
+    return app.stop();
+  });
+
+  const addTodo = async (title) => (await app.request('POST', '/add_item', { body: { title } })).body.new_todo_id;
+
+  it('leaves SIGTERM to the graceful shutdown without removing other listeners', () => {
+    // The distribution's own listener would exit before the requests are drained
+    const listeners = process.listeners('SIGTERM');
+    assert.equal(listeners.length, 2);
+    assert.equal(listeners[0], otherSigtermListener);
+  });
+
+  it('traces GET / with the Express handler and the search', async () => {
+    const { status, trace } = await app.request('GET', '/');
+    assert.equal(status, 200);
+
+    const root = trace.root();
+    assert.equal(root.kind, SpanKind.SERVER);
+    assert.equal(attribute(root, 'http.route'), '/');
+    assert.equal(attribute(root, 'http.response.status_code', 'http.status_code'), 200);
+    expectSpan(trace, 'request handler - /', { kind: SpanKind.INTERNAL, parent: root.name });
+    expectSpan(trace, 'search', { kind: SpanKind.CLIENT, parent: root.name, attributes: { 'db.system': 'elasticsearch' } });
+  });
+
+  it('traces GET /get_todos with the query shape on the HTTP span', async () => {
+    await addTodo('Read the span tree');
+    const { status, trace } = await app.request('GET', '/get_todos');
+    assert.equal(status, 200);
+
+    const root = trace.root();
+    assert.equal(root.attributes['todo.query.page'], 'first');
+    assert.equal(root.attributes['todo.query.has_text'], false);
+    ['open_point_in_time', 'search', 'close_point_in_time'].forEach((name) => {
+      expectSpan(trace, name, { kind: SpanKind.CLIENT, parent: root.name, status: SpanStatusCode.UNSET });
+    });
+  });
+
+  it('copies the baggage onto the spans of the distribution', async () => {
+    const { status, trace } = await app.request('GET', '/get_todos', { headers: { 'x-tenant-id': 'acme' } });
+    assert.equal(status, 200);
+
+    assert.equal(trace.root().attributes['tenant.id'], 'acme');
+    expectSpan(trace, 'search', { attributes: { 'tenant.id': 'acme' } });
+  });
+
+  it('exports the spans of the distribution through the redaction policy', async () => {
+    const { trace } = await app.request('POST', '/add_item', {
+      body: { title: 'Secret plans', description: 'Tell no one' },
+      headers: { baggage: 'user.id=42', 'User-Agent': 'Mozilla/5.0 (Test)' }
+    });
+    const root = trace.root();
+    assert.equal(root.attributes['user.id'], '42');
+
+    const exported = (await app.exportedSpans(root.spanContext().traceId))
+      .find((span) => span.spanId === root.spanContext().spanId);
+    assert.match(exported.attributes['user.id'], /^sha256:[0-9a-f]{16}$/);
+    assert.match(exported.attributes['user_agent.original'], /^sha256:[0-9a-f]{16}$/);
+    assert.equal(exported.attributes['network.peer.address'], undefined);
+    assert.equal(exported.attributes['http.route'], '/add_item');
+  });
+
+  it('samples the requests that start a trace by OTEL_TRACES_SAMPLER_RULES', async () => {
+    // Sent without a traceparent, so the rules decide rather than the caller
+    const response = await app.send('POST', '/add_item', { body: { title: 'Sampled by a rule' } });
+    const { new_todo_id: id } = await response.json();
+
+    const ended = () => app.exporter.getFinishedSpans().find((span) => span.name === 'index'
+      && span.attributes['sampling.rule'] === 'POST /add_item');
+    while (!ended()) await setTimeout(5);
+    const root = app.exporter.getFinishedSpans().find((span) => span.spanContext().spanId === ended().parentSpanId);
+    assert.equal(root.parentSpanId, undefined);
+    assert.deepEqual(
+      [root.attributes['sampling.reason'], root.attributes['sampling.rule'], root.attributes['sampling.ratio']],
+      ['rule', 'POST /add_item', 1]
+    );
+    assert.equal(ended().attributes['sampling.reason'], 'parent');
+    assert.ok(id);
+  });
+
+  it('traces POST /add_item with the index request', async () => {
+    const { status, body, trace } = await app.request('POST', '/add_item', { body: { title: 'Write tests' } });
+    assert.equal(status, 200);
+    assert.ok(body.new_todo_id);
+
+    expectSpan(trace, 'index', {
+      kind: SpanKind.CLIENT,
+      parent: trace.root().name,
+      attributes: { 'db.system': 'elasticsearch', 'db.operation.name': 'index' }
+    });
+  });
+
+  it('answers an invalid todo with 400 and no Elasticsearch call', async () => {
+    const { status, trace } = await app.request('POST', '/add_item', { body: { title: '' } });
+    assert.equal(status, 400);
+
+    const root = trace.root();
+    assert.equal(attribute(root, 'http.response.status_code', 'http.status_code'), 400);
+    assert.equal(root.status.code, SpanStatusCode.UNSET);
+    assert.deepEqual(trace.findAll('index'), []);
+  });
+
+  it('traces DELETE /delete/:id with the get and delete requests', async () => {
+    const id = await addTodo('Delete me');
+    const { status, trace } = await app.request('DELETE', `/delete/${id}`);
+    assert.equal(status, 200);
+
+    assert.equal(attribute(trace.root(), 'http.route'), '/delete/:id');
+    expectSpan(trace, 'get', { kind: SpanKind.CLIENT, parent: trace.root().name, status: SpanStatusCode.UNSET });
+    expectSpan(trace, 'delete', { kind: SpanKind.CLIENT, parent: trace.root().name, status: SpanStatusCode.UNSET });
+    assert.deepEqual(trace.findAll(/^elasticsearch\./), []);
+  });
+
+  it('marks the lookup of a missing todo as an error and answers 404', async () => {
+    const { status, trace } = await app.request('DELETE', '/delete/missing');
+    assert.equal(status, 404);
+
+    expectSpan(trace, 'get', { status: SpanStatusCode.ERROR });
+    assert.deepEqual(trace.findAll('delete'), []);
+    assert.equal(attribute(trace.root(), 'http.response.status_code', 'http.status_code'), 404);
+  });
+
+  it('marks the search and the HTTP span as errors when Elasticsearch fails', async () => {
+    await app.elasticsearch.fail({ path: '/_search$', statusCode: 500, once: true });
+    const { status, trace } = await app.request('GET', '/get_todos');
+    assert.equal(status, 500);
+
+    expectSpan(trace, 'search', { status: SpanStatusCode.ERROR });
+    assert.equal(trace.root().status.code, SpanStatusCode.ERROR);
+  });
+});
@@ -0,0 +1,27 @@
+const { describe, it } = require('node:test');
+const assert = require('assert/strict');
+const { loadTelemetryConfig, normalizeHeaderVariables } = require('../../shared/config');
+
+describe('telemetry configuration', () => {
+  it('reads OTLP headers from a key=value list', () => {
+    const env = { OTEL_EXPORTER_OTLP_HEADERS: 'Authorization=ApiKey%20c2VjcmV0%3D%3D,x-tenant=acme' };
+    const config = loadTelemetryConfig({ defaultServiceName: 'todo-app', env });
+    assert.deepEqual(config.traces.headers, { Authorization: 'ApiKey c2VjcmV0==', 'x-tenant': 'acme' });
+    assert.deepEqual(config.warnings, []);
+    assert.deepEqual(normalizeHeaderVariables(env).variables, {});
+  });
+
+  it('reads a legacy bare ApiKey header variable without changing the environment', () => {
+    const env = { OTEL_EXPORTER_OTLP_HEADERS: 'ApiKey c2VjcmV0==' };
+    const config = loadTelemetryConfig({ defaultServiceName: 'todo-app', env });
+    assert.equal(config.traces.headers.Authorization, 'ApiKey c2VjcmV0==');
+    assert.ok(config.warnings.some((warning) => warning.startsWith('OTEL_EXPORTER_OTLP_HEADERS should be a key=value list')));
+    assert.deepEqual(env, { OTEL_EXPORTER_OTLP_HEADERS: 'ApiKey c2VjcmV0==' });
+
+    // What start.js sets for the SDKs, which parse the variable themselves
+    const { variables } = normalizeHeaderVariables(env);
+    assert.deepEqual(variables, { OTEL_EXPORTER_OTLP_HEADERS: 'Authorization=ApiKey%20c2VjcmV0%3D%3D' });
+    assert.deepEqual(normalizeHeaderVariables(variables).variables, {});
+  });
+
+});
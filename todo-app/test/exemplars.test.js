@@ -0,0 +1,119 @@
+const { describe, it } = require('node:test');
+const assert = require('assert/strict');
+const { ROOT_CONTEXT, TraceFlags, trace } = require('@opentelemetry/api');
+const {
+  assertSdkInternals,
+  ExemplarStore,
+  ExemplarMeterProvider,
+  OpenMetricsPrometheusExporter
+} = require('../../shared/exemplars');
+
+const TRACE_ID = '0af7651916cd43dd8448eb211c80319c';
+
+const spanContext = (spanId, traceFlags = TraceFlags.SAMPLED) => trace.setSpanContext(ROOT_CONTEXT, {
+  traceId: TRACE_ID,
+  spanId,
+  traceFlags
+});
+
+// What a scrape of the exporter's endpoint answers, without starting its server
+const scrape = (exporter, accept = 'application/openmetrics-text') => new Promise((resolve) => exporter.getMetricsRequestHandler(undefined, {
+  req: { headers: { accept } },
+  setHeader: () => {},
+  end: resolve
+}));
+
+const withExporter = async (exemplars, use) => {
+  const exporter = new OpenMetricsPrometheusExporter({ prefix: 'todo', preventServerStart: true }, exemplars);
+  const provider = new ExemplarMeterProvider({ readers: [exporter] }, { exemplars, histograms: ['operation_duration'] });
+  try {
+    return await use(provider.getMeter('test'), exporter);
+  } finally {
+    await provider.shutdown();
+  }
+};
+
+describe('ExemplarStore', () => {
+  it('keeps the latest recording of each bucket, counting a boundary in the bucket it closes', () => {
+    const exemplars = new ExemplarStore([10, 100]);
+    exemplars.record('operation_duration', 5, {}, spanContext('0000000000000001'));
+    exemplars.record('operation_duration', 10, {}, spanContext('0000000000000002'));
+    exemplars.record('operation_duration', 11, {}, spanContext('0000000000000003'));
+    exemplars.record('operation_duration', 5000, {}, spanContext('0000000000000004'));
+
+    assert.deepEqual(
+      exemplars.get('operation_duration', {}).map((exemplar) => exemplar && [exemplar.value, exemplar.spanId]),
+      [[10, '0000000000000002'], [11, '0000000000000003'], [5000, '0000000000000004']]
+    );
+  });
+
+  it('keeps one series per metric and attribute set, whatever the order of the attributes', () => {
+    const exemplars = new ExemplarStore([10]);
+    exemplars.record('operation_duration', 1, { operation: 'add_todo', result: 'success' }, spanContext('0000000000000001'));
+
+    assert.equal(exemplars.get('operation_duration', { result: 'success', operation: 'add_todo' })[0].value, 1);
+    assert.deepEqual(exemplars.get('operation_duration', { operation: 'add_todo', result: 'error' }), []);
+    assert.deepEqual(exemplars.get('request_duration', { operation: 'add_todo', result: 'success' }), []);
+  });
+
+  it('leaves out recordings outside a sampled span and values a histogram would not count', () => {
+    const exemplars = new ExemplarStore([10]);
+    exemplars.record('operation_duration', 1, {}, ROOT_CONTEXT);
+    exemplars.record('operation_duration', 1, {}, spanContext('0000000000000001', TraceFlags.NONE));
+    exemplars.record('operation_duration', -1, {}, spanContext('0000000000000002'));
+    exemplars.record('operation_duration', Number.NaN, {}, spanContext('0000000000000003'));
+
+    assert.deepEqual(exemplars.get('operation_duration', {}), []);
+  });
+});
+
+describe('OpenMetrics exporter', () => {
+  it('finds the exporter internals exemplars build on', () => {
+    // Fails after an upgrade of the pinned exporter packages that dropped one of them
+    assert.doesNotThrow(assertSdkInternals);
+  });
+
+  it('names counter families without _total, keeps it on their samples and the exporter prefix on both', async () => {
+    const text = await withExporter(new ExemplarStore([10]), async (meter, exporter) => {
+      meter.createCounter('requests', { description: 'Requests handled', unit: '1' }).add(2);
+      return scrape(exporter);
+    });
+
+    assert.match(text, /^# HELP todo_requests Requests handled$/m);
+    assert.match(text, /^# TYPE todo_requests counter$/m);
+    assert.match(text, /^todo_requests_total 2$/m);
+    assert.doesNotMatch(text, /^# (HELP|TYPE) \S+_total /m);
+    assert.doesNotMatch(text, /^# UNIT /m);
+  });
+
+  it('ends every answer with a single # EOF, even with no metrics of the app', async () => {
+    const empty = await withExporter(new ExemplarStore([10]), async (meter, exporter) => scrape(exporter));
+    assert.match(empty, /^target_info\{.*\} 1\n# EOF\n$/m);
+
+    const text = await withExporter(new ExemplarStore([10]), async (meter, exporter) => {
+      meter.createCounter('requests').add(1);
+      meter.createUpDownCounter('active_todos').add(3);
+      return scrape(exporter);
+    });
+    assert.match(text, /\ntodo_active_todos 3\n# EOF\n$/);
+    assert.equal(text.match(/# EOF/g).length, 1);
+    assert.doesNotMatch(text, /\n\n/);
+  });
+
+  it('puts the exemplar of each bucket after its sample, and none in the classic format', async () => {
+    const exemplars = new ExemplarStore([10, 100]);
+    const [openMetrics, classic] = await withExporter(exemplars, async (meter, exporter) => {
+      const histogram = meter.createHistogram('operation_duration', { advice: { explicitBucketBoundaries: [10, 100] } });
+      histogram.record(42, { operation: 'add_todo' }, spanContext('00f067aa0ba902b7'));
+      return [await scrape(exporter), await scrape(exporter, 'text/plain')];
+    });
+
+    const buckets = openMetrics.split('\n').filter((line) => line.startsWith('todo_operation_duration_bucket'));
+    assert.equal(buckets.length, 3);
+    assert.doesNotMatch(buckets[0], / # /);
+    assert.match(buckets[1], new RegExp(`^todo_operation_duration_bucket\\{operation="add_todo",le="100"\\} 1 # \\{trace_id="${TRACE_ID}",span_id="00f067aa0ba902b7"\\} 42 \\d+\\.\\d{3}$`));
+    assert.doesNotMatch(buckets[2], / # /);
+    assert.doesNotMatch(classic, /trace_id=/);
+    assert.doesNotMatch(classic, /# EOF/);
+  });
+});
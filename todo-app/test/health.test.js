@@ -0,0 +1,154 @@
+const { describe, it } = require('node:test');
+const assert = require('assert/strict');
+const { createHealthChecks } = require('../../shared/health');
+
+// The parts of an Express response the handlers use
+const respond = async (handler) => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  await handler({}, res, (error) => { throw error; });
+  return res;
+};
+
+const nextOf = (handler) => {
+  let passed = 'not called';
+  handler({}, {}, (error) => { passed = error; });
+  return passed;
+};
+
+const setUp = ({ client = {}, telemetryStatus, retryMillis = '5' } = {}) => {
+  const errors = [];
+  const health = createHealthChecks({
+    client: {
+      ping: async () => {},
+      indices: { exists: async () => true },
+      ...client
+    },
+    index: 'todos',
+    logger: { error: (message, attributes) => errors.push([message, attributes['index_setup.attempts']]) },
+    telemetryStatus,
+    env: { INDEX_SETUP_RETRY_MS: retryMillis }
+  });
+  return { health, errors };
+};
+
+describe('health checks', () => {
+  it('reports the process as live before the index is set up, without calling Elasticsearch', async () => {
+    const { health } = setUp({ client: { ping: async () => assert.fail('/healthz pinged Elasticsearch') } });
+
+    const { statusCode, headers, body } = await respond(health.liveness);
+    assert.equal(statusCode, 200);
+    assert.equal(headers['Cache-Control'], 'no-store');
+    assert.deepEqual(body, {
+      status: 'ok',
+      uptime_seconds: 0,
+      index_setup: { status: 'pending', attempts: 0 },
+      telemetry: { status: 'unmonitored' }
+    });
+  });
+
+  it('reports the process as degraded while a span exporter is failing', async () => {
+    const exporters = [{ exporter: 'otlp', status: 'failing' }, { exporter: 'console', status: 'ok' }];
+    const { health } = setUp({ telemetryStatus: () => exporters });
+
+    const { statusCode, body } = await respond(health.liveness);
+    assert.equal(statusCode, 200);
+    assert.equal(body.status, 'degraded');
+    assert.deepEqual(body.telemetry, { status: 'degraded', exporters });
+  });
+
+  it('answers todo routes with 503 until the index is set up', async () => {
+    const { health } = setUp();
+
+    const error = nextOf(health.requireIndex);
+    assert.equal(error.statusCode, 503);
+    assert.equal(error.code, 'service_unavailable');
+    assert.equal(error.message, 'The todo index is not set up yet, try again later');
+
+    await health.runIndexSetup(async () => {});
+    assert.equal(nextOf(health.requireIndex), undefined);
+  });
+
+  it('retries the index setup until it succeeds and reports each failure', async () => {
+    const { health, errors } = setUp();
+    const seen = [];
+    let calls = 0;
+
+    // The retry timer does not keep a process alive, so this does until the setup is done
+    const keepAlive = setInterval(() => {}, 1000);
+    await health.runIndexSetup(async () => {
+      calls += 1;
+      seen.push((await respond(health.liveness)).body.index_setup);
+      if (calls < 3) throw new Error(`connect ECONNREFUSED (attempt ${calls})`);
+    }).finally(() => clearInterval(keepAlive));
+
+    assert.deepEqual(seen, [
+      { status: 'pending', attempts: 0 },
+      { status: 'failed', attempts: 1, error: 'connect ECONNREFUSED (attempt 1)' },
+      { status: 'failed', attempts: 2, error: 'connect ECONNREFUSED (attempt 2)' }
+    ]);
+    assert.deepEqual(errors, [['Index setup failed, retrying', 1], ['Index setup failed, retrying', 2]]);
+
+    const { index_setup: indexSetup } = (await respond(health.liveness)).body;
+    assert.equal(indexSetup.status, 'ok');
+    assert.equal(indexSetup.attempts, 3);
+    assert.ok(!Number.isNaN(Date.parse(indexSetup.completed_at)));
+  });
+
+  it('is ready once the index is set up, Elasticsearch answers and the index exists', async () => {
+    const { health } = setUp();
+
+    const before = await respond(health.readiness);
+    assert.equal(before.statusCode, 503);
+    assert.equal(before.body.status, 'not_ready');
+    assert.deepEqual(before.body.checks.index_setup, { status: 'pending', attempts: 0 });
+
+    await health.runIndexSetup(async () => {});
+    const { statusCode, headers, body } = await respond(health.readiness);
+    assert.equal(statusCode, 200);
+    assert.equal(headers['Cache-Control'], 'no-store');
+    assert.equal(body.status, 'ready');
+    assert.deepEqual(Object.keys(body.checks), ['shutdown', 'index_setup', 'elasticsearch', 'index']);
+    assert.deepEqual(body.checks.shutdown, { status: 'ok' });
+    assert.equal(body.checks.elasticsearch.status, 'ok');
+    assert.equal(typeof body.checks.elasticsearch.latency_ms, 'number');
+    assert.deepEqual(body.checks.index, { status: 'ok', name: 'todos' });
+    assert.deepEqual(body.telemetry, { status: 'unmonitored' });
+  });
+
+  it('is not ready when Elasticsearch fails, the index is missing or the app is shutting down', async () => {
+    const unreachable = setUp({ client: { ping: async () => { throw new Error('connect ECONNREFUSED'); } } }).health;
+    await unreachable.runIndexSetup(async () => {});
+    const failed = await respond(unreachable.readiness);
+    assert.equal(failed.statusCode, 503);
+    assert.equal(failed.body.checks.elasticsearch.error, 'connect ECONNREFUSED');
+    assert.deepEqual(failed.body.checks.index, { status: 'unknown', name: 'todos' });
+
+    const missing = setUp({ client: { indices: { exists: async () => false } } }).health;
+    await missing.runIndexSetup(async () => {});
+    const withoutIndex = await respond(missing.readiness);
+    assert.equal(withoutIndex.statusCode, 503);
+    assert.deepEqual(withoutIndex.body.checks.index, { status: 'missing', name: 'todos' });
+
+    const { health } = setUp();
+    await health.runIndexSetup(async () => {});
+    health.markShuttingDown();
+    const stopping = await respond(health.readiness);
+    assert.equal(stopping.statusCode, 503);
+    assert.deepEqual(stopping.body.checks.shutdown, { status: 'shutting_down' });
+  });
+});
@@ -0,0 +1,192 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert/strict');
+const path = require('path');
+const { SpanKind, SpanStatusCode } = require('@opentelemetry/api');
+const { startApp, findFreePort, expectSpan, attribute } = require('../../shared/testing/harness');
+
+describe('hybrid instrumentation', () => {
+  let app;
+  // Only scraped by the exemplar test; the OTLP metrics exporter stays off
+  let prometheusPort;
+
+  before(async () => {
+    prometheusPort = await findFreePort();
+    app = await startApp({
+      appDir: path.join(__dirname, '..'),
+      env: {
+        INSTRUMENTATION_MODE: 'hybrid',
+        OTEL_METRICS_EXPORTER: 'prometheus',
+        OTEL_EXPORTER_PROMETHEUS_HOST: '127.0.0.1',
+        OTEL_EXPORTER_PROMETHEUS_PORT: String(prometheusPort)
+      }
+    });
+  });
+
+  after(() => app.stop());
+
+  const addTodo = async (title) => (await app.request('POST', '/add_item', { body: { title } })).body.new_todo_id;
+
+  it('traces GET / from the automatic HTTP span down to the search', async () => {
+    const { status, trace } = await app.request('GET', '/');
+    assert.equal(status, 200);
+
+    const root = trace.root();
+    assert.equal(root.kind, SpanKind.SERVER);
+    assert.equal(attribute(root, 'http.response.status_code', 'http.status_code'), 200);
+    expectSpan(trace, 'http.get.homepage', {
+      kind: SpanKind.SERVER,
+      parent: root.name,
+      status: SpanStatusCode.OK,
+      attributes: { 'http.request.method': 'GET', 'http.route': '/', 'url.path': '/', 'manual.http.method': undefined }
+    });
+    expectSpan(trace, 'elasticsearch.get_todos', { kind: SpanKind.CLIENT, parent: 'http.get.homepage', status: SpanStatusCode.OK });
+    const search = expectSpan(trace, 'search', { kind: SpanKind.CLIENT, parent: 'elasticsearch.get_todos', attributes: { 'db.system': 'elasticsearch' } });
+    // The HTTP request of the client is traced too, under its search span
+    assert.ok(trace.childrenOf(search).some((span) => span.kind === SpanKind.CLIENT), trace.describe());
+  });
+
+  it('traces GET /get_todos through the action span', async () => {
+    await addTodo('Read the span tree');
+    const { status, body, trace } = await app.request('GET', '/get_todos');
+    assert.equal(status, 200);
+    assert.ok(body.todos.length >= 1);
+
+    const root = trace.root();
+    assert.equal(root.attributes['todo.query.page'], 'first');
+    expectSpan(trace, 'http.get.get_todos', {
+      kind: SpanKind.SERVER,
+      parent: root.name,
+      status: SpanStatusCode.OK,
+      attributes: { 'response.todos.count': body.todos.length }
+    });
+    expectSpan(trace, 'todo.action.get_all', {
+      kind: SpanKind.INTERNAL,
+      parent: 'http.get.get_todos',
+      status: SpanStatusCode.OK,
+      attributes: { 'todos.retrieved.count': body.todos.length }
+    });
+    expectSpan(trace, 'elasticsearch.get_todos', {
+      kind: SpanKind.CLIENT,
+      parent: 'todo.action.get_all',
+      attributes: { 'todos.count': body.todos.length, 'elasticsearch.results.total': body.total }
+    });
+    ['open_point_in_time', 'search', 'close_point_in_time'].forEach((name) => {
+      expectSpan(trace, name, { kind: SpanKind.CLIENT, parent: 'elasticsearch.get_todos' });
+    });
+  });
+
+  it('traces POST /add_item down to the index request', async () => {
+    const { status, body, trace } = await app.request('POST', '/add_item', { body: { title: 'Write tests', description: 'For every route' } });
+    assert.equal(status, 200);
+
+    expectSpan(trace, 'http.post.add_item', {
+      kind: SpanKind.SERVER,
+      parent: trace.root().name,
+      status: SpanStatusCode.OK,
+      attributes: { 'response.todo.id': body.new_todo_id }
+    });
+    expectSpan(trace, 'todo.action.add', { kind: SpanKind.INTERNAL, parent: 'http.post.add_item', status: SpanStatusCode.OK });
+    expectSpan(trace, 'elasticsearch.add_todo', {
+      kind: SpanKind.CLIENT,
+      parent: 'todo.action.add',
+      status: SpanStatusCode.OK,
+      attributes: {
+        'db.system': 'elasticsearch',
+        'db.operation.name': 'index',
+        'db.collection.name': 'todos',
+        'elasticsearch.document.id': body.new_todo_id,
+        'elasticsearch.result': 'created'
+      }
+    });
+    expectSpan(trace, 'index', { kind: SpanKind.CLIENT, parent: 'elasticsearch.add_todo', attributes: { 'db.system': 'elasticsearch' } });
+  });
+
+  it('serves operation_duration with an exemplar of the span in the OpenMetrics format', async () => {
+    const { trace } = await app.request('POST', '/add_item', { body: { title: 'Find me from the histogram' } });
+    const { traceId, spanId } = trace.find('elasticsearch.add_todo').spanContext();
+
+    const response = await fetch(`http://127.0.0.1:${prometheusPort}/metrics`, {
+      headers: { accept: 'application/openmetrics-text;version=1.0.0,text/plain;version=0.0.4;q=0.5' }
+    });
+    assert.match(response.headers.get('content-type'), /^application\/openmetrics-text/);
+    const text = await response.text();
+    assert.match(text, /\n# EOF\n$/);
+    assert.ok(text.split('\n').some((line) => line.startsWith('operation_duration_bucket{operation="add_todo",result="success",')
+      && line.includes(`# {trace_id="${traceId}",span_id="${spanId}"}`)), text);
+
+    // Without asking for OpenMetrics, the scrape stays in the Prometheus text format
+    const classic = await fetch(`http://127.0.0.1:${prometheusPort}/metrics`);
+    assert.match(classic.headers.get('content-type'), /^text\/plain/);
+    assert.doesNotMatch(await classic.text(), /trace_id=/);
+  });
+
+  it('copies the baggage onto every span and sends it on to Elasticsearch', async () => {
+    await app.elasticsearch.reset();
+    const { status, trace } = await app.request('GET', '/get_todos', {
+      headers: { baggage: 'tenant.id=acme,user.id=42,cart.size=3', 'x-client-app': 'todo-cli' }
+    });
+    assert.equal(status, 200);
+
+    const expected = { 'tenant.id': 'acme', 'user.id': '42', 'client.app': 'todo-cli', 'cart.size': undefined };
+    expectSpan(trace, trace.root().name, { attributes: expected });
+    ['http.get.get_todos', 'elasticsearch.get_todos', 'search'].forEach((name) => expectSpan(trace, name, { attributes: expected }));
+
+    const [request] = (await app.elasticsearch.requests()).filter(({ path: requestPath }) => requestPath.endsWith('/_search'));
+    const entries = request.headers.baggage.split(',').map((entry) => entry.trim()).sort();
+    assert.deepEqual(entries, ['cart.size=3', 'client.app=todo-cli', 'tenant.id=acme', 'user.id=42']);
+  });
+
+  it('rejects an invalid todo without marking the spans as errors', async () => {
+    const { status, body, trace } = await app.request('POST', '/add_item', { body: { title: '' } });
+    assert.equal(status, 400);
+    assert.equal(body.error.code, 'validation_failed');
+
+    assert.equal(attribute(trace.root(), 'http.response.status_code', 'http.status_code'), 400);
+    expectSpan(trace, 'http.post.add_item', {
+      status: SpanStatusCode.UNSET,
+      attributes: { 'error.type': 'validation_failed', 'http.response.status_code': 400 }
+    });
+    assert.deepEqual(trace.findAll('elasticsearch.add_todo'), []);
+  });
+
+  it('traces DELETE /delete/:id down to the get and delete requests', async () => {
+    const id = await addTodo('Delete me');
+    const { status, trace } = await app.request('DELETE', `/delete/${id}`);
+    assert.equal(status, 200);
+
+    expectSpan(trace, 'http.delete.delete_todo', {
+      kind: SpanKind.SERVER,
+      parent: trace.root().name,
+      status: SpanStatusCode.OK,
+      attributes: { 'todo.id': id }
+    });
+    expectSpan(trace, 'elasticsearch.get_todo', {
+      kind: SpanKind.CLIENT,
+      parent: 'todo.action.delete',
+      attributes: { 'todo.completed': false }
+    });
+    expectSpan(trace, 'get', { kind: SpanKind.CLIENT, parent: 'elasticsearch.get_todo' });
+    expectSpan(trace, 'delete', { kind: SpanKind.CLIENT, parent: 'elasticsearch.delete_todo' });
+  });
+
+  it('marks the client spans of a missing todo as errors and answers 404', async () => {
+    const { status, trace } = await app.request('DELETE', '/delete/missing');
+    assert.equal(status, 404);
+
+    expectSpan(trace, 'get', { status: SpanStatusCode.ERROR });
+    expectSpan(trace, 'elasticsearch.get_todo', { status: SpanStatusCode.ERROR });
+    expectSpan(trace, 'http.delete.delete_todo', { status: SpanStatusCode.UNSET, attributes: { 'error.type': 'not_found' } });
+    assert.deepEqual(trace.findAll('delete'), []);
+  });
+
+  it('ends every span of GET /get_todos with an error when Elasticsearch fails', async () => {
+    await app.elasticsearch.fail({ path: '/_search$', statusCode: 500, once: true });
+    const { status, trace } = await app.request('GET', '/get_todos');
+    assert.equal(status, 500);
+
+    ['search', 'elasticsearch.get_todos', 'todo.action.get_all', 'http.get.get_todos'].forEach((name) => {
+      expectSpan(trace, name, { status: SpanStatusCode.ERROR });
+    });
+    assert.equal(trace.root().status.code, SpanStatusCode.ERROR);
+  });
+});
@@ -0,0 +1,113 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert/strict');
+const { logs } = require('@opentelemetry/api-logs');
+const { Resource } = require('@opentelemetry/resources');
+const { NodeTracerProvider } = require('@opentelemetry/sdk-trace-node');
+const { createLogger } = require('../../shared/logger');
+const { createLoggerProvider } = require('../../shared/logs-pipeline');
+const { loadTelemetryConfig } = require('../../shared/config');
+const { startFakeElasticsearch } = require('../../shared/testing/fake-elasticsearch');
+
+// Log records of the OTLP/JSON requests the fake cluster received, with plain attribute values
+const exportedRecords = async (elasticsearch) => (await elasticsearch.requests())
+  .filter(({ path: requestPath }) => requestPath === '/v1/logs')
+  .flatMap(({ body }) => body.resourceLogs)
+  .flatMap((resourceLogs) => resourceLogs.scopeLogs.flatMap((scopeLogs) => scopeLogs.logRecords))
+  .map((record) => ({
+    ...record,
+    attributes: Object.fromEntries(record.attributes.map(({ key, value }) => [key, Object.values(value)[0]]))
+  }));
+
+describe('logger', () => {
+  let elasticsearch;
+  let loggerProvider;
+  let tracer;
+  let lines;
+  let logger;
+
+  before(async () => {
+    elasticsearch = await startFakeElasticsearch();
+    const config = loadTelemetryConfig({
+      defaultServiceName: 'todo-app',
+      env: { OTEL_LOGS_EXPORTER: 'otlp', OTEL_EXPORTER_OTLP_ENDPOINT: elasticsearch.url, LOG_LEVEL: 'debug' }
+    });
+
+    // Registered, so the logger finds the active span through the context manager
+    const tracerProvider = new NodeTracerProvider();
+    tracerProvider.register();
+    tracer = tracerProvider.getTracer('test');
+
+    loggerProvider = createLoggerProvider(config, { resource: Resource.default() });
+    logs.setGlobalLoggerProvider(loggerProvider);
+
+    lines = [];
+    logger = createLogger({
+      serviceName: 'todo-app',
+      level: config.logs.level,
+      stream: { write: (line) => lines.push(JSON.parse(line)) }
+    });
+  });
+
+  after(async () => {
+    await loggerProvider.shutdown();
+    await elasticsearch.stop();
+  });
+
+  it('writes the trace and span of the active span on each line', () => {
+    const spanContext = tracer.startActiveSpan('work', (span) => {
+      logger.info('Inside a span', { 'todo.id': '1' });
+      span.end();
+      return span.spanContext();
+    });
+    logger.info('Outside any span');
+
+    const [inside, outside] = lines.slice(-2);
+    assert.equal(inside.message, 'Inside a span');
+    assert.equal(inside.level, 'info');
+    assert.equal(inside['service.name'], 'todo-app');
+    assert.equal(inside.trace_id, spanContext.traceId);
+    assert.equal(inside.span_id, spanContext.spanId);
+    assert.equal(inside['todo.id'], '1');
+    assert.equal(outside.trace_id, undefined);
+    assert.equal(outside.span_id, undefined);
+  });
+
+  it('redacts the attributes of exported records, and leaves stdout as written', async () => {
+    const spanContext = tracer.startActiveSpan('work', (span) => {
+      logger.warn('Todo rejected', {
+        'todo.title': 'Secret plans',
+        'user.id': '42',
+        'client.address': '10.0.0.1',
+        'todo.id': '7',
+        error: new Error('Title is taken')
+      });
+      span.end();
+      return span.spanContext();
+    });
+    await loggerProvider.forceFlush();
+
+    const record = (await exportedRecords(elasticsearch)).find(({ body }) => body.stringValue === 'Todo rejected');
+    assert.equal(record.severityText, 'WARN');
+    assert.equal(record.traceId, spanContext.traceId);
+    assert.equal(record.spanId, spanContext.spanId);
+    assert.match(record.attributes['todo.title'], /^sha256:[0-9a-f]{16}$/);
+    assert.match(record.attributes['user.id'], /^sha256:[0-9a-f]{16}$/);
+    assert.equal(record.attributes['client.address'], undefined);
+    assert.equal(record.attributes['todo.id'], '7');
+    assert.equal(record.attributes['exception.message'], 'Title is taken');
+
+    const line = lines.at(-1);
+    assert.equal(line['todo.title'], 'Secret plans');
+    assert.equal(line['client.address'], '10.0.0.1');
+  });
+
+  it('drops records below the level, on stdout and in the export', async () => {
+    const quiet = createLogger({ serviceName: 'todo-app', level: 'error', stream: { write: (line) => lines.push(JSON.parse(line)) } });
+    const written = lines.length;
+    quiet.warn('Not worth an error');
+    await loggerProvider.forceFlush();
+
+    assert.equal(lines.length, written);
+    assert.ok(!(await exportedRecords(elasticsearch)).some(({ body }) => body.stringValue === 'Not worth an error'));
+  });
+});
@@ -0,0 +1,350 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert/strict');
+const path = require('path');
+const { SpanKind, SpanStatusCode } = require('@opentelemetry/api');
+const { startApp, expectSpan, attribute } = require('../../shared/testing/harness');
+
+describe('manual instrumentation', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp({
+      appDir: path.join(__dirname, '..'),
+      // Small batches, so a few todos take several bulk and search requests. Spans are
+      // exported to the fake cluster, so what leaves the process can be checked
+      env: {
+        INSTRUMENTATION_MODE: 'manual',
+        IMPORT_BATCH_SIZE: '2',
+        EXPORT_BATCH_SIZE: '2',
+        OTEL_TRACES_EXPORTER: 'otlp'
+      }
+    });
+  });
+
+  after(() => app.stop());
+
+  const addTodo = async (title) => (await app.request('POST', '/add_item', { body: { title } })).body.new_todo_id;
+
+  it('traces GET / from the HTTP span down to the search', async () => {
+    const { status, trace } = await app.request('GET', '/');
+    assert.equal(status, 200);
+
+    const root = trace.root();
+    assert.equal(root.kind, SpanKind.SERVER);
+    assert.equal(attribute(root, 'http.response.status_code', 'http.status_code'), 200);
+    expectSpan(trace, 'http.get.homepage', {
+      kind: SpanKind.SERVER,
+      parent: root.name,
+      status: SpanStatusCode.OK,
+      attributes: { 'http.request.method': 'GET', 'http.route': '/', 'url.path': '/', 'http.method': undefined }
+    });
+    expectSpan(trace, 'elasticsearch.get_todos', {
+      kind: SpanKind.CLIENT,
+      parent: 'http.get.homepage',
+      status: SpanStatusCode.OK,
+      attributes: { 'db.system': 'elasticsearch', 'db.operation.name': 'search', 'db.collection.name': 'todos', 'elasticsearch.index': undefined }
+    });
+    expectSpan(trace, 'search', { kind: SpanKind.CLIENT, parent: 'elasticsearch.get_todos', attributes: { 'db.system': 'elasticsearch' } });
+  });
+
+  it('opens a point in time only for searches that can be paged', async () => {
+    const pitRequests = async () => (await app.elasticsearch.requests())
+      .filter(({ path: requestPath }) => requestPath.endsWith('/_pit'));
+
+    await app.elasticsearch.reset();
+    await app.request('GET', '/');
+    assert.deepEqual(await pitRequests(), []);
+
+    await app.request('GET', '/get_todos');
+    assert.equal((await pitRequests()).length, 2);
+  });
+
+  it('traces GET /get_todos through the action span', async () => {
+    await addTodo('Read the span tree');
+    const { status, body, trace } = await app.request('GET', '/get_todos');
+    assert.equal(status, 200);
+    assert.ok(body.todos.length >= 1);
+
+    const root = trace.root();
+    assert.equal(root.attributes['todo.query.page'], 'first');
+    expectSpan(trace, 'http.get.get_todos', {
+      kind: SpanKind.SERVER,
+      parent: root.name,
+      status: SpanStatusCode.OK,
+      attributes: { 'response.todos.count': body.todos.length }
+    });
+    expectSpan(trace, 'todo.action.get_all', {
+      kind: SpanKind.INTERNAL,
+      parent: 'http.get.get_todos',
+      status: SpanStatusCode.OK,
+      attributes: { 'todos.retrieved.count': body.todos.length }
+    });
+    expectSpan(trace, 'elasticsearch.get_todos', {
+      kind: SpanKind.CLIENT,
+      parent: 'todo.action.get_all',
+      attributes: { 'todos.count': body.todos.length, 'elasticsearch.results.total': body.total }
+    });
+    ['open_point_in_time', 'search', 'close_point_in_time'].forEach((name) => {
+      expectSpan(trace, name, { kind: SpanKind.CLIENT, parent: 'elasticsearch.get_todos' });
+    });
+  });
+
+  it('searches title and description with q and filters on completed', async () => {
+    const inTitle = await addTodo('Feed the quokka');
+    const inDescription = (await app.request('POST', '/add_item', { body: { title: 'Zoo trip', description: 'See a quokka' } })).body.new_todo_id;
+    await addTodo('Feed the cat');
+    assert.equal((await app.request('PATCH', `/todos/${inDescription}`, { body: { completed: true } })).status, 200);
+
+    const found = await app.request('GET', '/get_todos?q=quokka');
+    assert.equal(found.status, 200);
+    assert.deepEqual(found.body.todos.map(({ id }) => id).sort(), [inTitle, inDescription].sort());
+    assert.deepEqual(found.body.todos.find(({ id }) => id === inTitle).highlight, { title: ['Feed the <mark>quokka</mark>'] });
+    // Every word has to match
+    assert.deepEqual((await app.request('GET', '/get_todos?q=feed%20quokka')).body.todos.map(({ id }) => id), [inTitle]);
+
+    const completed = await app.request('GET', '/get_todos?q=quokka&completed=true');
+    assert.deepEqual(completed.body.todos.map(({ id }) => id), [inDescription]);
+    const active = await app.request('GET', '/get_todos?q=quokka&completed=false');
+    assert.deepEqual(active.body.todos.map(({ id }) => id), [inTitle]);
+
+    const invalid = await app.request('GET', `/get_todos?q=${'a'.repeat(201)}&completed=maybe`);
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error.code, 'validation_failed');
+    assert.deepEqual(invalid.body.error.details.map(({ field }) => field), ['q', 'completed']);
+  });
+
+  it('pages through a search with cursors until next is null', async () => {
+    const ids = [];
+    for (const title of ['Wombat one', 'Wombat two', 'Wombat three']) ids.push(await addTodo(title));
+
+    const first = await app.request('GET', '/get_todos?q=wombat&size=2&sort=createdAt:asc');
+    assert.equal(first.status, 200);
+    assert.equal(first.body.total, 3);
+    assert.equal(first.body.todos.length, 2);
+    assert.equal(typeof first.body.next, 'string');
+
+    // Todos added after the first page are not seen by the later ones
+    await addTodo('Wombat four');
+    const second = await app.request('GET', `/get_todos?${new URLSearchParams({ cursor: first.body.next })}`);
+    assert.equal(second.status, 200);
+    assert.equal(second.body.todos.length, 1);
+    assert.equal(second.body.next, null);
+    assert.equal(second.trace.root().attributes['todo.query.page'], 'next');
+    assert.deepEqual([...first.body.todos, ...second.body.todos].map(({ id }) => id), ids);
+  });
+
+  it('rejects a cursor whose search was tampered with', async () => {
+    const { body } = await app.request('GET', '/get_todos?q=wombat&size=1');
+    const decoded = JSON.parse(Buffer.from(body.next, 'base64url').toString('utf8'));
+    const tamper = (changes) => Buffer.from(JSON.stringify({ ...decoded, ...changes })).toString('base64url');
+
+    for (const changes of [{ text: 5 }, { text: 'a'.repeat(201) }, { completed: 'yes' }]) {
+      const { status, body: error, trace } = await app.request('GET', `/get_todos?${new URLSearchParams({ cursor: tamper(changes) })}`);
+      assert.equal(status, 400);
+      assert.equal(error.error.code, 'validation_failed');
+      assert.deepEqual(error.error.details, [{ field: 'cursor', message: 'is not a cursor returned by this endpoint' }]);
+      assert.ok(trace.spans.every((span) => span.status.code !== SpanStatusCode.ERROR), trace.describe());
+    }
+  });
+
+  it('traces POST /add_item down to the index request', async () => {
+    const { status, body, trace } = await app.request('POST', '/add_item', { body: { title: 'Write tests', description: 'For every route' } });
+    assert.equal(status, 200);
+
+    expectSpan(trace, 'http.post.add_item', {
+      kind: SpanKind.SERVER,
+      parent: trace.root().name,
+      status: SpanStatusCode.OK,
+      attributes: { 'response.todo.id': body.new_todo_id }
+    });
+    expectSpan(trace, 'todo.action.add', {
+      kind: SpanKind.INTERNAL,
+      parent: 'http.post.add_item',
+      status: SpanStatusCode.OK,
+      attributes: { 'todo.created.id': body.new_todo_id, 'todo.created.result': 'created' }
+    });
+    expectSpan(trace, 'elasticsearch.add_todo', {
+      kind: SpanKind.CLIENT,
+      parent: 'todo.action.add',
+      attributes: { 'elasticsearch.document.id': body.new_todo_id }
+    });
+    expectSpan(trace, 'index', { kind: SpanKind.CLIENT, parent: 'elasticsearch.add_todo', attributes: { 'db.system': 'elasticsearch' } });
+  });
+
+  it('exports user content and client details on spans redacted', async () => {
+    const { trace } = await app.request('POST', '/add_item', {
+      body: { title: 'Secret plans', description: 'Tell no one' },
+      headers: { baggage: 'user.id=42', 'User-Agent': 'Mozilla/5.0 (Test)' }
+    });
+    expectSpan(trace, 'http.post.add_item', { attributes: { 'todo.title': 'Secret plans', 'user.id': '42' } });
+
+    const exported = await app.exportedSpans(trace.root().spanContext().traceId);
+    const hashed = /^sha256:[0-9a-f]{16}$/;
+    const httpSpan = exported.find((span) => span.name === 'http.post.add_item');
+    assert.match(httpSpan.attributes['todo.title'], hashed);
+    assert.match(httpSpan.attributes['todo.description'], hashed);
+    assert.match(httpSpan.attributes['user.id'], hashed);
+    const server = exported.find((span) => span.spanId === trace.root().spanContext().spanId);
+    assert.match(server.attributes['user_agent.original'], hashed);
+    assert.equal(server.attributes['network.peer.address'], undefined);
+
+    const [started] = exported.find((span) => span.name === 'todo.action.add').events;
+    assert.match(started.attributes['todo.title'], hashed);
+    assert.match(started.attributes['todo.description'], hashed);
+  });
+
+  it('rejects an invalid todo without marking the spans as errors', async () => {
+    const { status, body, trace } = await app.request('POST', '/add_item', { body: { title: '' } });
+    assert.equal(status, 400);
+    assert.equal(body.error.code, 'validation_failed');
+
+    assert.equal(attribute(trace.root(), 'http.response.status_code', 'http.status_code'), 400);
+    expectSpan(trace, 'http.post.add_item', {
+      status: SpanStatusCode.UNSET,
+      attributes: { 'error.type': 'validation_failed', 'http.response.status_code': 400 }
+    });
+    assert.deepEqual(trace.findAll('todo.action.add'), []);
+  });
+
+  it('imports todos with a span per bulk request and a result per todo', async () => {
+    const { status, body, trace } = await app.request('POST', '/todos/import', {
+      body: [
+        { id: 'imported-1', title: 'Imported first', createdAt: '2024-01-01T00:00:00.000Z' },
+        { title: 'Imported second', completed: true },
+        { title: '' },
+        { id: 'imported-1', title: 'Imported again' }
+      ]
+    });
+    assert.equal(status, 200);
+    assert.deepEqual([body.total, body.succeeded, body.failed], [4, 2, 2]);
+    assert.deepEqual(body.items.map((item) => item.status), [201, 201, 400, 409]);
+    assert.equal(body.items[0].id, 'imported-1');
+    assert.equal(body.items[2].error.code, 'validation_failed');
+    assert.equal(body.items[3].error.code, 'version_conflict_engine_exception');
+
+    expectSpan(trace, 'http.post.import_todos', { kind: SpanKind.SERVER, parent: trace.root().name, status: SpanStatusCode.OK });
+    expectSpan(trace, 'todo.action.import', {
+      kind: SpanKind.INTERNAL,
+      parent: 'http.post.import_todos',
+      attributes: {
+        'todos.import.total': 4,
+        'todos.import.invalid': 1,
+        'todos.import.batches': 2,
+        'todos.import.succeeded': 2,
+        'todos.import.failed': 2
+      }
+    });
+    const batches = trace.findAll('elasticsearch.import_batch')
+      .sort((a, b) => a.attributes['todos.batch.index'] - b.attributes['todos.batch.index']);
+    assert.deepEqual(batches.map((span) => [span.attributes['todos.batch.succeeded'], span.attributes['todos.batch.failed']]), [[2, 0], [0, 1]]);
+    batches.forEach((span) => {
+      assert.equal(trace.parentOf(span).name, 'todo.action.import');
+      assert.equal(span.kind, SpanKind.CLIENT);
+      assert.equal(span.status.code, SpanStatusCode.OK);
+      assert.deepEqual(trace.childrenOf(span).map((child) => child.name), ['bulk']);
+    });
+  });
+
+  it('rejects an imported id that is not safe in markup or a URL', async () => {
+    const { status, body, trace } = await app.request('POST', '/todos/import', {
+      body: [{ id: 'x" onmouseover="alert(1)', title: 'Hostile' }, { id: '../_doc/other', title: 'Traversal' }]
+    });
+    assert.equal(status, 200);
+    assert.deepEqual([body.succeeded, body.failed], [0, 2]);
+    body.items.forEach((item) => {
+      assert.equal(item.status, 400);
+      assert.deepEqual(item.error.details.map(({ field }) => field), ['id']);
+    });
+    assert.deepEqual(trace.findAll('elasticsearch.import_batch'), []);
+  });
+
+  it('exports every todo in batches read from a point in time', async () => {
+    await addTodo('Export me');
+    const { status, headers, body, trace } = await app.request('GET', '/todos/export?format=ndjson');
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /^application\/x-ndjson/);
+    const exported = body.trim().split('\n').map((line) => JSON.parse(line));
+    assert.ok(exported.some((todo) => todo.title === 'Export me'));
+
+    const batches = trace.findAll('elasticsearch.export_batch');
+    assert.ok(batches.length > 1, trace.describe());
+    batches.forEach((span) => assert.equal(trace.parentOf(span).name, 'todo.action.export'));
+    expectSpan(trace, 'todo.action.export', {
+      parent: 'http.get.export_todos',
+      status: SpanStatusCode.OK,
+      attributes: { 'todos.export.count': exported.length, 'todos.export.batches': batches.length }
+    });
+    expectSpan(trace, 'close_point_in_time', { parent: 'todo.action.export' });
+  });
+
+  it('traces DELETE /delete/:id down to the get and delete requests', async () => {
+    const id = await addTodo('Delete me');
+    const { status, trace } = await app.request('DELETE', `/delete/${id}`);
+    assert.equal(status, 200);
+
+    expectSpan(trace, 'http.delete.delete_todo', {
+      kind: SpanKind.SERVER,
+      parent: trace.root().name,
+      status: SpanStatusCode.OK,
+      attributes: { 'todo.id': id }
+    });
+    expectSpan(trace, 'todo.action.delete', { kind: SpanKind.INTERNAL, parent: 'http.delete.delete_todo', status: SpanStatusCode.OK });
+    expectSpan(trace, 'elasticsearch.get_todo', { kind: SpanKind.CLIENT, parent: 'todo.action.delete', attributes: { 'todo.completed': false } });
+    expectSpan(trace, 'get', { kind: SpanKind.CLIENT, parent: 'elasticsearch.get_todo' });
+    expectSpan(trace, 'elasticsearch.delete_todo', { kind: SpanKind.CLIENT, parent: 'todo.action.delete', status: SpanStatusCode.OK });
+    expectSpan(trace, 'delete', { kind: SpanKind.CLIENT, parent: 'elasticsearch.delete_todo' });
+  });
+
+  it('marks the client spans of a missing todo as errors and answers 404', async () => {
+    const { status, trace } = await app.request('DELETE', '/delete/missing');
+    assert.equal(status, 404);
+
+    expectSpan(trace, 'get', { status: SpanStatusCode.ERROR });
+    expectSpan(trace, 'elasticsearch.get_todo', { status: SpanStatusCode.ERROR });
+    expectSpan(trace, 'todo.action.delete', { status: SpanStatusCode.UNSET, attributes: { 'error.type': 'not_found' } });
+    assert.deepEqual(trace.findAll('elasticsearch.delete_todo'), []);
+    expectSpan(trace, 'http.delete.delete_todo', { status: SpanStatusCode.UNSET, attributes: { 'error.type': 'not_found' } });
+  });
+
+  it('sends the trace context with every Elasticsearch request', async () => {
+    await app.elasticsearch.reset();
+    const { trace } = await app.request('GET', '/get_todos');
+
+    const search = trace.find('search');
+    const { traceId, spanId } = search.spanContext();
+    const [request] = (await app.elasticsearch.requests()).filter(({ path: requestPath }) => requestPath.endsWith('/_search'));
+    assert.equal(request.headers.traceparent, `00-${traceId}-${spanId}-01`);
+    assert.equal(request.headers['x-opaque-id'], traceId);
+
+    expectSpan(trace, 'search', {
+      attributes: {
+        'elasticsearch.node': app.elasticsearch.url,
+        'elasticsearch.request.retries': 0,
+        'http.response.status_code': 200
+      }
+    });
+    assert.ok(search.attributes['http.response.body.size'] > 0);
+  });
+
+  it('records the retries of an Elasticsearch request on its span', async () => {
+    await app.elasticsearch.fail({ path: '/_search$', statusCode: 503, once: true });
+    const { status, trace } = await app.request('GET', '/get_todos');
+    assert.equal(status, 200);
+
+    expectSpan(trace, 'search', {
+      status: SpanStatusCode.UNSET,
+      attributes: { 'elasticsearch.request.retries': 1, 'http.response.status_code': 200 }
+    });
+  });
+
+  it('ends every span of GET /get_todos with an error when Elasticsearch fails', async () => {
+    await app.elasticsearch.fail({ path: '/_search$', statusCode: 500, once: true });
+    const { status, trace } = await app.request('GET', '/get_todos');
+    assert.equal(status, 500);
+
+    ['search', 'elasticsearch.get_todos', 'todo.action.get_all', 'http.get.get_todos'].forEach((name) => {
+      expectSpan(trace, name, { status: SpanStatusCode.ERROR });
+    });
+    assert.equal(trace.root().status.code, SpanStatusCode.ERROR);
+  });
+});
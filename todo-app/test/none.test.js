@@ -0,0 +1,111 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert/strict');
+const path = require('path');
+const { startApp } = require('../../shared/testing/harness');
+
+// The baseline: the same routes with no SDK, so nothing is traced
+describe('no instrumentation', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp({ appDir: path.join(__dirname, '..'), env: {
+      INSTRUMENTATION_MODE: 'none',
+      // Only for the browser spans the OTLP proxy forwards, there being no SDK
+      OTEL_TRACES_EXPORTER: 'otlp',
+      // So a client IP would get through, if the proxy added one
+      TELEMETRY_REDACTION_RULES: 'client.address=allow'
+    } });
+  });
+
+  after(() => app.stop());
+
+  it('serves every route without a tracer provider', async () => {
+    assert.equal(app.traced, false);
+
+    const created = await app.request('POST', '/add_item', { body: { title: 'Untraced' } });
+    assert.equal(created.status, 200);
+    const id = created.body.new_todo_id;
+
+    const listed = await app.request('GET', '/get_todos');
+    assert.equal(listed.status, 200);
+    assert.ok(listed.body.todos.some((todo) => todo.id === id));
+
+    assert.equal((await app.request('PATCH', `/todos/${id}`, { body: { completed: true } })).status, 200);
+    assert.equal((await app.request('DELETE', `/delete/${id}`)).status, 200);
+    assert.equal((await app.request('DELETE', `/delete/${id}`)).status, 404);
+    assert.equal((await app.request('POST', '/add_item', { body: { title: '' } })).status, 400);
+
+    const imported = await app.request('POST', '/todos/import', { body: [{ title: 'Imported' }, { title: '' }] });
+    assert.equal(imported.status, 200);
+    assert.deepEqual([imported.body.succeeded, imported.body.failed], [1, 1]);
+    const exported = await app.request('GET', '/todos/export?format=csv');
+    assert.equal(exported.status, 200);
+    assert.ok(exported.body.startsWith('id,title,description,completed,createdAt\n'));
+    assert.match(exported.body, /,Imported,/);
+
+    assert.deepEqual(app.exporter.getFinishedSpans(), []);
+  });
+
+  it('redacts browser spans before forwarding them', async () => {
+    const stringValue = (value) => ({ stringValue: value });
+    await app.elasticsearch.reset();
+
+    const { status } = await app.request('POST', '/otel/v1/traces', {
+      headers: { 'User-Agent': 'Mozilla/5.0 (Test)' },
+      body: {
+        resourceSpans: [{
+          resource: { attributes: [{ key: 'service.name', value: stringValue('todo-browser') }] },
+          scopeSpans: [{
+            spans: [{
+              name: 'HTTP GET',
+              attributes: [
+                { key: 'http.url', value: stringValue('http://localhost/get_todos?q=secret%20plans&size=20') },
+                { key: 'http.status_code', value: { intValue: 200 } },
+                { key: 'todo.title', value: stringValue('Secret plans') }
+              ],
+              events: [{ name: 'click', attributes: [{ key: 'net.peer.ip', value: stringValue('10.0.0.1') }] }]
+            }]
+          }]
+        }]
+      }
+    });
+    assert.equal(status, 200);
+
+    const [forwarded] = (await app.elasticsearch.requests()).filter(({ path: requestPath }) => requestPath === '/v1/traces');
+    const [resourceSpans] = forwarded.body.resourceSpans;
+    const resource = Object.fromEntries(resourceSpans.resource.attributes.map(({ key, value }) => [key, value]));
+    assert.deepEqual(resource['service.name'], stringValue('todo-browser'));
+    // Not added, even with a policy that would let it through
+    assert.equal(resource['client.address'], undefined);
+    assert.match(resource['user_agent.original'].stringValue, /^sha256:[0-9a-f]{16}$/);
+
+    const [span] = resourceSpans.scopeSpans[0].spans;
+    const attributes = Object.fromEntries(span.attributes.map(({ key, value }) => [key, value]));
+    assert.deepEqual(attributes['http.url'], stringValue('http://localhost/get_todos?q=REDACTED&size=20'));
+    assert.deepEqual(attributes['http.status_code'], { intValue: 200 });
+    assert.match(attributes['todo.title'].stringValue, /^sha256:/);
+    assert.deepEqual(span.events[0].attributes, []);
+  });
+
+  it('answers rejected browser spans with the error envelope', async () => {
+    const post = async (body, headers) => {
+      const response = await app.send('POST', '/otel/v1/traces', { body, headers });
+      return [response.status, (await response.json()).error];
+    };
+
+    assert.deepEqual(await post({ resourceSpans: [] }, { Origin: 'https://elsewhere.example' }), [403, {
+      status: 403, code: 'origin_not_allowed', message: 'Origin https://elsewhere.example may not send telemetry'
+    }]);
+    assert.deepEqual(await post({ resourceSpans: [] }, { 'Content-Type': 'text/plain' }), [415, {
+      status: 415, code: 'unsupported_media_type', message: 'Content-Type must be application/json'
+    }]);
+    const [status, error] = await post({ spans: [] });
+    assert.equal(status, 400);
+    assert.equal(error.code, 'invalid_otlp_request');
+
+    await app.elasticsearch.fail({ path: '^/v1/traces$', statusCode: 500, once: true });
+    assert.deepEqual(await post({ resourceSpans: [] }), [502, {
+      status: 502, code: 'collector_failed', message: 'Collector responded with 500'
+    }]);
+  });
+});
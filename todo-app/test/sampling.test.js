@@ -0,0 +1,137 @@
+const { describe, it } = require('node:test');
+const assert = require('assert/strict');
+const { ROOT_CONTEXT, SpanKind, TraceFlags, trace } = require('@opentelemetry/api');
+const { SamplingDecision } = require('@opentelemetry/sdk-trace-node');
+const { loadTelemetryConfig, ConfigurationError } = require('../../shared/config');
+const { createSampler, RuleBasedSampler } = require('../../shared/sampling');
+const { globToRegExp } = require('../../shared/glob');
+
+const TRACE_ID = '0af7651916cd43dd8448eb211c80319c';
+
+const samplerConfig = (env) => loadTelemetryConfig({ defaultServiceName: 'todo-app', env }).traces.sampler;
+
+// Ratios of 0 and 1 only, so the decisions do not depend on the trace id
+const sample = (sampler, { method, path, name = `${method} ${path}`, context = ROOT_CONTEXT } = {}) => sampler.shouldSample(
+  context,
+  TRACE_ID,
+  name,
+  method ? SpanKind.SERVER : SpanKind.INTERNAL,
+  method ? { 'http.request.method': method, 'url.path': path } : {}
+);
+
+const withParent = ({ sampled = true, isRemote = false, attributes } = {}) => {
+  const spanContext = {
+    traceId: TRACE_ID,
+    spanId: 'b7ad6b7169203331',
+    traceFlags: sampled ? TraceFlags.SAMPLED : TraceFlags.NONE,
+    isRemote
+  };
+  // What the sampler reads of a local SDK span
+  const span = attributes ? Object.assign(trace.wrapSpanContext(spanContext), { attributes }) : trace.wrapSpanContext(spanContext);
+  return trace.setSpan(ROOT_CONTEXT, span);
+};
+
+describe('sampling rules', () => {
+  it('parses methods, patterns and ratios from OTEL_TRACES_SAMPLER_RULES', () => {
+    const sampler = samplerConfig({
+      OTEL_TRACES_SAMPLER_RULES: 'post /add_item=1, * /static/*=0 ,GET /get_todos=5%,app.shutdown=0.5',
+      OTEL_TRACES_SAMPLER_ARG: '0.25'
+    });
+
+    assert.equal(sampler.name, 'parentbased_rules');
+    assert.equal(sampler.ratio, 0.25);
+    assert.deepEqual(sampler.rules, [
+      { method: 'POST', pattern: '/add_item', ratio: 1, source: 'post /add_item' },
+      { pattern: '/static/*', ratio: 0, source: '* /static/*' },
+      { method: 'GET', pattern: '/get_todos', ratio: 0.05, source: 'GET /get_todos' },
+      { pattern: 'app.shutdown', ratio: 0.5, source: 'app.shutdown' }
+    ]);
+  });
+
+  it('keeps the named sampler and the default ratio when rules are set', () => {
+    const sampler = samplerConfig({ OTEL_TRACES_SAMPLER: 'parentbased_traceidratio', OTEL_TRACES_SAMPLER_RULES: '/static/*=0' });
+    assert.equal(sampler.name, 'parentbased_traceidratio');
+    assert.equal(sampler.ratio, 1);
+    assert.equal(samplerConfig({}).name, 'parentbased_always_on');
+  });
+
+  it('rejects a malformed rule or ratio', () => {
+    assert.throws(() => samplerConfig({ OTEL_TRACES_SAMPLER_RULES: 'GET /get_todos' }), ConfigurationError);
+    assert.throws(() => samplerConfig({ OTEL_TRACES_SAMPLER_RULES: 'GET /get_todos=often' }), ConfigurationError);
+    assert.throws(() => samplerConfig({ OTEL_TRACES_SAMPLER_RULES: '/static/*=150%' }), ConfigurationError);
+    assert.throws(() => samplerConfig({ OTEL_TRACES_SAMPLER_ARG: '2' }), ConfigurationError);
+  });
+});
+
+describe('glob patterns', () => {
+  it('matches any run of characters with * and everything else literally', () => {
+    assert.ok(globToRegExp('/static/*').test('/static/js/vendor/opentelemetry.js'));
+    assert.ok(globToRegExp('*todo.title').test('app.todo.title'));
+    assert.ok(globToRegExp('*').test(''));
+    assert.ok(!globToRegExp('/static/*').test('/assets/static/app.js'));
+    assert.ok(!globToRegExp('todo.title').test('todoxtitle'));
+    assert.ok(!globToRegExp('/todos/(id)').test('/todos/i'));
+  });
+});
+
+describe('RuleBasedSampler', () => {
+  const sampler = createSampler(samplerConfig({
+    OTEL_TRACES_SAMPLER_RULES: 'POST /add_item=1, /static/*=0, DELETE *=1, app.*=1',
+    OTEL_TRACES_SAMPLER_ARG: '0'
+  }));
+
+  it('is built for parentbased_rules', () => {
+    assert.ok(sampler instanceof RuleBasedSampler);
+    assert.equal(sampler.toString(), 'RuleBasedSampler{rules=POST /add_item=1, /static/*=0, DELETE *=1, app.*=1, default=0}');
+  });
+
+  it('samples requests by the first rule whose method and path match', () => {
+    const { decision, attributes } = sample(sampler, { method: 'POST', path: '/add_item' });
+    assert.equal(decision, SamplingDecision.RECORD_AND_SAMPLED);
+    assert.deepEqual(attributes, { 'sampling.reason': 'rule', 'sampling.rule': 'POST /add_item', 'sampling.ratio': 1 });
+
+    assert.equal(sample(sampler, { method: 'GET', path: '/static/css/output.css' }).decision, SamplingDecision.NOT_RECORD);
+    assert.equal(sample(sampler, { method: 'DELETE', path: '/delete/42' }).attributes['sampling.rule'], 'DELETE *');
+  });
+
+  it('leaves a request to the default ratio when only the method differs', () => {
+    const { decision, attributes } = sample(sampler, { method: 'GET', path: '/add_item' });
+    assert.equal(decision, SamplingDecision.NOT_RECORD);
+    assert.equal(attributes, undefined);
+  });
+
+  it('matches span names, not paths, for root spans that are not requests', () => {
+    assert.equal(sample(sampler, { name: 'app.shutdown' }).attributes['sampling.rule'], 'app.*');
+    // A path pattern never matches a span name that looks like a path
+    assert.equal(sample(sampler, { name: '/static/app.js' }).decision, SamplingDecision.NOT_RECORD);
+  });
+
+  it('samples what no rule matches at the default ratio', () => {
+    const always = new RuleBasedSampler({ rules: [], defaultRatio: 1 });
+    const { decision, attributes } = sample(always, { method: 'GET', path: '/get_todos' });
+    assert.equal(decision, SamplingDecision.RECORD_AND_SAMPLED);
+    assert.deepEqual(attributes, { 'sampling.reason': 'default', 'sampling.rule': 'default', 'sampling.ratio': 1 });
+
+    assert.equal(sample(sampler, { method: 'GET', path: '/get_todos' }).decision, SamplingDecision.NOT_RECORD);
+  });
+
+  it('follows a local parent and copies its rule and ratio', () => {
+    const context = withParent({ attributes: { 'sampling.reason': 'rule', 'sampling.rule': 'POST /add_item', 'sampling.ratio': 1 } });
+    // Would be dropped as a root span
+    const { decision, attributes } = sample(sampler, { method: 'GET', path: '/static/app.js', context });
+    assert.equal(decision, SamplingDecision.RECORD_AND_SAMPLED);
+    assert.deepEqual(attributes, { 'sampling.reason': 'parent', 'sampling.rule': 'POST /add_item', 'sampling.ratio': 1 });
+
+    assert.deepEqual(sample(sampler, { name: 'search', context: withParent({ attributes: {} }) }).attributes, { 'sampling.reason': 'parent' });
+  });
+
+  it('follows a remote parent and drops what the parent dropped', () => {
+    const remote = sample(sampler, { method: 'GET', path: '/get_todos', context: withParent({ isRemote: true }) });
+    assert.equal(remote.decision, SamplingDecision.RECORD_AND_SAMPLED);
+    assert.deepEqual(remote.attributes, { 'sampling.reason': 'remote_parent' });
+
+    const dropped = sample(sampler, { method: 'POST', path: '/add_item', context: withParent({ sampled: false, isRemote: true }) });
+    assert.equal(dropped.decision, SamplingDecision.NOT_RECORD);
+    assert.equal(dropped.attributes, undefined);
+  });
+});
@@ -0,0 +1,170 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('assert/strict');
+const http = require('http');
+const { once } = require('events');
+const { SpanStatusCode } = require('@opentelemetry/api');
+const { BasicTracerProvider, InMemorySpanExporter, SimpleSpanProcessor } = require('@opentelemetry/sdk-trace-node');
+const { registerGracefulShutdown } = require('../../shared/shutdown');
+
+// Thrown by the mocked process.exit, so a shutdown ends where the process would
+class Exit extends Error {
+  constructor(code) {
+    super(`process.exit(${code})`);
+    this.code = code;
+  }
+}
+
+const exitCodeOf = (shutdown) => shutdown.then(
+  () => assert.fail('The shutdown did not exit'),
+  (error) => {
+    if (!(error instanceof Exit)) throw error;
+    return error.code;
+  }
+);
+
+describe('graceful shutdown', () => {
+  let server;
+  let exporter;
+  let steps;
+  let signalListeners;
+  let heldResponses;
+
+  // Registers the shutdown on a server whose requests are answered only once released
+  const start = async (options = {}) => {
+    heldResponses = [];
+    server = http.createServer((req, res) => heldResponses.push(res));
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+
+    exporter = new InMemorySpanExporter();
+    const provider = new BasicTracerProvider();
+    provider.addSpanProcessor(new SimpleSpanProcessor(exporter));
+    steps = [];
+    const logger = Object.fromEntries(['debug', 'info', 'warn', 'error']
+      .map((level) => [level, (message) => steps.push(`${level}: ${message}`)]));
+
+    return registerGracefulShutdown({
+      server,
+      logger,
+      tracer: provider.getTracer('test'),
+      shutdownTelemetry: async () => steps.push('telemetry flushed'),
+      closeStorage: async () => steps.push('storage closed'),
+      onShutdown: () => steps.push('readiness failed'),
+      ...options,
+      env: { SHUTDOWN_TIMEOUT_MS: '1000', ...options.env }
+    });
+  };
+
+  // Resolves once the server has the request, with the request's own outcome
+  const sendHeldRequest = async () => {
+    const held = heldResponses.length;
+    const response = fetch(`http://127.0.0.1:${server.address().port}/`).then((res) => res.text(), (error) => error);
+    while (heldResponses.length === held) await new Promise((resolve) => setImmediate(resolve));
+    return { response };
+  };
+
+  const shutdownSpan = () => {
+    const [span] = exporter.getFinishedSpans();
+    assert.equal(span.name, 'app.shutdown');
+    return span;
+  };
+
+  beforeEach(() => {
+    mock.method(process, 'exit', (code) => {
+      throw new Exit(code);
+    });
+    signalListeners = ['SIGTERM', 'SIGINT'].map((signal) => [signal, process.listeners(signal)]);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    // Only the listeners the test registered
+    signalListeners.forEach(([signal, before]) => process.listeners(signal)
+      .filter((listener) => !before.includes(listener))
+      .forEach((listener) => process.off(signal, listener)));
+    server.closeAllConnections();
+    server.close();
+  });
+
+  it('listens for SIGTERM and SIGINT', async () => {
+    await start();
+    signalListeners.forEach(([signal, before]) => assert.equal(process.listenerCount(signal), before.length + 1));
+  });
+
+  it('drains in-flight requests before closing the storage client and flushing telemetry', async () => {
+    const { isShuttingDown, shutdown } = await start();
+    const { response } = await sendHeldRequest();
+
+    const exitCode = exitCodeOf(shutdown('SIGTERM'));
+    assert.equal(isShuttingDown(), true);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.deepEqual(steps, ['readiness failed', 'info: Shutting down']);
+
+    heldResponses[0].end('done');
+    assert.equal(await response, 'done');
+    assert.equal(await exitCode, 0);
+    assert.deepEqual(steps, [
+      'readiness failed',
+      'info: Shutting down',
+      'storage closed',
+      'info: Shutdown complete, flushing telemetry',
+      'telemetry flushed'
+    ]);
+
+    const span = shutdownSpan();
+    assert.equal(span.attributes['app.shutdown.signal'], 'SIGTERM');
+    assert.equal(span.attributes['app.shutdown.in_flight_requests'], 1);
+    assert.equal(span.attributes['app.shutdown.timeout_ms'], 1000);
+    assert.equal(span.attributes['app.shutdown.drained'], true);
+    assert.deepEqual(span.events.map(({ name }) => name), ['Requests drained', 'Storage client closed']);
+    assert.equal(span.status.code, SpanStatusCode.OK);
+  });
+
+  it('closes the connections still open after SHUTDOWN_TIMEOUT_MS and exits with 1', async () => {
+    const { shutdown } = await start({ env: { SHUTDOWN_TIMEOUT_MS: '50' } });
+    const { response } = await sendHeldRequest();
+
+    assert.equal(await exitCodeOf(shutdown('SIGINT')), 1);
+    assert.ok(await response instanceof Error);
+    assert.ok(steps.includes('warn: Requests still in flight after the shutdown timeout, closing their connections'));
+
+    const span = shutdownSpan();
+    assert.equal(span.attributes['app.shutdown.drained'], false);
+    assert.deepEqual(span.events.map(({ name }) => name), ['Drain timed out', 'Storage client closed']);
+    assert.equal(span.events[0].attributes['app.shutdown.in_flight_requests'], 1);
+    assert.equal(span.status.code, SpanStatusCode.ERROR);
+  });
+
+  it('still flushes telemetry when the storage client fails to close', async () => {
+    const { shutdown } = await start({ closeStorage: async () => { throw new Error('Connection reset'); } });
+
+    assert.equal(await exitCodeOf(shutdown('SIGTERM')), 1);
+    assert.ok(steps.includes('error: Could not close the storage client'));
+    assert.equal(steps.at(-1), 'telemetry flushed');
+
+    const span = shutdownSpan();
+    assert.deepEqual(span.events.map(({ name }) => name), ['Requests drained', 'exception']);
+    assert.equal(span.status.code, SpanStatusCode.ERROR);
+  });
+
+  it('exits with 1 when telemetry cannot be flushed', async () => {
+    const { shutdown } = await start({ shutdownTelemetry: async () => { throw new Error('Exporter unreachable'); } });
+
+    assert.equal(await exitCodeOf(shutdown('SIGTERM')), 1);
+    assert.equal(steps.at(-1), 'error: Could not flush telemetry');
+    assert.equal(shutdownSpan().status.code, SpanStatusCode.OK);
+  });
+
+  it('exits straight away on a second signal', async () => {
+    const { shutdown } = await start();
+    await sendHeldRequest();
+
+    const first = exitCodeOf(shutdown('SIGTERM'));
+    assert.equal(await exitCodeOf(shutdown('SIGTERM')), 1);
+    assert.ok(steps.includes('warn: Second signal received, exiting without waiting'));
+    assert.deepEqual(exporter.getFinishedSpans(), []);
+
+    heldResponses[0].end();
+    assert.equal(await first, 0);
+  });
+});
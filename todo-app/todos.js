@@ -0,0 +1,355 @@
+const { SpanKind } = require('@opentelemetry/api');
+const { describeTodoQuery, searchTodos } = require('../shared/todo-search');
+const { toHttpError } = require('../shared/errors');
+
+// How long Elasticsearch keeps the point in time of an export open between batches
+const EXPORT_KEEP_ALIVE = '1m';
+
+/**
+ * The storage calls of the todo app, each in a CLIENT span from `withSpan`, and the
+ * todo metrics they keep up to date. In the modes without manual spans the spans
+ * come from the Elasticsearch client alone.
+ *
+ * @param {object} options
+ * @param {ReturnType<import('../shared/storage').createStorageClient>} options.client
+ * @param {string} options.index
+ * @param {ReturnType<import('../shared/instrumentation').createInstrumentation>['withSpan']} options.withSpan
+ * @param {ReturnType<import('../shared/semconv').createSemanticAttributes>} options.semantic
+ * @param {ReturnType<import('../shared/logger').createLogger>} options.logger
+ * @param {import('@opentelemetry/api').Meter} options.meter
+ */
+const createTodoService = ({ client, index, withSpan, semantic, logger, meter }) => {
+  const todoCounter = meter.createCounter('todos_total', {
+    description: 'Total number of todos created',
+  });
+
+  // The number of todos that are not completed. It is tracked in process as todos are
+  // created, completed, reopened and deleted, and periodically replaced by a count from
+  // the index so writes from other instances or before a restart are picked up.
+  let activeTodos = 0;
+
+  const todosActive = meter.createObservableGauge('todos_active', {
+    description: 'Number of todos that are not completed',
+  });
+  todosActive.addCallback((result) => result.observe(activeTodos));
+
+  const checkAndCreateIndex = () => withSpan('elasticsearch.check_and_create_index', {
+    kind: SpanKind.CLIENT,
+    operation: 'index_setup',
+    attributes: {
+      ...semantic.database({ index }),
+      'operation.type': 'index_management'
+    }
+  }, async (span) => {
+    const exists = await client.indices.exists({ index });
+    span.setAttributes({
+      'elasticsearch.index.exists': exists
+    });
+
+    if (!exists) {
+      span.addEvent('Creating new index');
+      await client.indices.create({
+        index,
+        body: {
+          mappings: {
+            properties: {
+              title: { type: 'text' },
+              completed: { type: 'boolean' },
+              createdAt: { type: 'date' }
+            }
+          }
+        }
+      });
+      span.addEvent('Index created successfully');
+    }
+  });
+
+  // `paginate: false` reads the first page only, without a point in time behind it
+  const getTodos = (query, { paginate = true } = {}) => withSpan('elasticsearch.get_todos', {
+    kind: SpanKind.CLIENT,
+    operation: query.text ? 'search_todos' : 'get_todos',
+    attributes: {
+      ...semantic.database({ operation: 'search', index }),
+      'operation.type': 'search',
+      ...describeTodoQuery(query)
+    }
+  }, async (span) => {
+    const page = await searchTodos({ client, index, query, paginate });
+
+    span.setAttributes({
+      'elasticsearch.results.total': page.total,
+      'elasticsearch.took': page.took,
+      'todos.count': page.todos.length,
+      'todos.has_next_page': Boolean(page.next)
+    });
+
+    logger.info('Fetched todos', { 'todos.count': page.todos.length, 'todos.total': page.total });
+    return page;
+  });
+
+  const addTodo = (todo) => withSpan('elasticsearch.add_todo', {
+    kind: SpanKind.CLIENT,
+    operation: 'add_todo',
+    attributes: {
+      ...semantic.database({ operation: 'index', index }),
+      'operation.type': 'index',
+      'todo.title': todo.title
+    }
+  }, async (span) => {
+    logger.info('Adding todo', { 'todo.title': todo.title });
+
+    const response = await client.index({ index, body: todo });
+
+    span.setAttributes({
+      'elasticsearch.document.id': response._id,
+      'elasticsearch.result': response.result
+    });
+
+    todoCounter.add(1, { operation: 'create' });
+    if (!todo.completed) activeTodos += 1;
+
+    return response;
+  });
+
+  const isTodoCompleted = (id) => withSpan('elasticsearch.get_todo', {
+    kind: SpanKind.CLIENT,
+    operation: 'get_todo',
+    attributes: {
+      ...semantic.database({ operation: 'get', index }),
+      'operation.type': 'get',
+      'todo.id': id
+    }
+  }, async (span) => {
+    const response = await client.get({ index, id });
+    const completed = Boolean(response._source.completed);
+    span.setAttribute('todo.completed', completed);
+    return completed;
+  });
+
+  const updateTodo = async (id, changes) => {
+    // Completing or reopening a todo moves it out of or into todos_active
+    const wasCompleted = changes.completed !== undefined ? await isTodoCompleted(id) : undefined;
+
+    const response = await withSpan('elasticsearch.update_todo', {
+      kind: SpanKind.CLIENT,
+      operation: 'update_todo',
+      attributes: {
+        ...semantic.database({ operation: 'update', index }),
+        'operation.type': 'update',
+        'todo.id': id
+      }
+    }, async (span) => {
+      const response = await client.update({ index, id, body: { doc: changes } });
+      span.setAttributes({
+        'elasticsearch.result': response.result
+      });
+      return response;
+    });
+
+    if (wasCompleted !== undefined && wasCompleted !== changes.completed) {
+      activeTodos += changes.completed ? -1 : 1;
+    }
+    return response;
+  };
+
+  const deleteTodo = async (id) => {
+    const wasCompleted = await isTodoCompleted(id);
+
+    await withSpan('elasticsearch.delete_todo', {
+      kind: SpanKind.CLIENT,
+      operation: 'delete_todo',
+      attributes: {
+        ...semantic.database({ operation: 'delete', index }),
+        'operation.type': 'delete',
+        'todo.id': id
+      }
+    }, async (span) => {
+      await client.delete({ index, id });
+      span.addEvent('Todo deleted from Elasticsearch');
+    });
+
+    if (!wasCompleted) activeTodos -= 1;
+  };
+
+  const countActiveTodos = () => withSpan('elasticsearch.count_active_todos', {
+    kind: SpanKind.CLIENT,
+    operation: 'count_active_todos',
+    attributes: {
+      ...semantic.database({ operation: 'count', index }),
+      'operation.type': 'count'
+    }
+  }, async (span) => {
+    const response = await client.count({
+      index,
+      body: {
+        query: {
+          bool: { must_not: { term: { completed: true } } }
+        }
+      }
+    });
+
+    span.setAttributes({
+      'todos.active.count': response.count,
+      'todos.active.drift': response.count - activeTodos
+    });
+
+    return response.count;
+  });
+
+  // One bulk request of `create` actions, so an imported id that is already taken
+  // fails that todo with a 409 instead of overwriting the todo stored under it
+  const importBatch = (batch, batchIndex) => withSpan('elasticsearch.import_batch', {
+    kind: SpanKind.CLIENT,
+    operation: 'import_batch',
+    attributes: {
+      ...semantic.database({ operation: 'bulk', index }),
+      'operation.type': 'bulk',
+      'todos.batch.index': batchIndex,
+      'todos.batch.size': batch.length
+    }
+  }, async (span) => {
+    const response = await client.bulk({
+      index,
+      operations: batch.flatMap(({ id, todo }) => [{ create: id ? { _id: id } : {} }, todo])
+    });
+
+    const results = response.items.map(({ create: item }) => ({
+      id: item._id,
+      status: item.status,
+      ...(item.error ? { error: { code: item.error.type, message: item.error.reason } } : {})
+    }));
+    const failed = results.filter((result) => result.error).length;
+
+    span.setAttributes({
+      'elasticsearch.took': response.took,
+      'todos.batch.succeeded': results.length - failed,
+      'todos.batch.failed': failed
+    });
+    if (failed > 0) {
+      span.addEvent('Some todos were not imported', { 'todos.batch.failed': failed });
+    }
+    return results;
+  });
+
+  /**
+   * Stores validated todos with one bulk request per `batchSize` of them and returns
+   * the result of each, in order. When a whole batch fails, e.g. because the cluster
+   * is unavailable, it and the batches after it are reported failed with that error.
+   *
+   * @param {Array<{ id?: string, todo: object }>} entries
+   * @param {{ batchSize: number }} options
+   * @returns {Promise<{ results: Array<{ id?: string, status: number, error?: { code: string, message: string } }>, batches: number }>}
+   */
+  const importTodos = async (entries, { batchSize }) => {
+    const results = [];
+    let batches = 0;
+
+    while (results.length < entries.length) {
+      const batch = entries.slice(results.length, results.length + batchSize);
+      try {
+        const batchResults = await importBatch(batch, batches);
+        batches += 1;
+
+        batchResults.forEach((result, i) => {
+          if (result.error) return;
+          todoCounter.add(1, { operation: 'import' });
+          if (!batch[i].todo.completed) activeTodos += 1;
+        });
+        results.push(...batchResults);
+      } catch (error) {
+        const { statusCode, code, message } = toHttpError(error);
+        logger.error('Import batch failed', { error, 'todos.batch.index': batches });
+        entries.slice(results.length).forEach(({ id }) => {
+          results.push({ ...(id ? { id } : {}), status: statusCode, error: { code, message } });
+        });
+        batches += 1;
+      }
+    }
+
+    return { results, batches };
+  };
+
+  const exportBatch = (pit, after, { batchSize, batchIndex }) => withSpan('elasticsearch.export_batch', {
+    kind: SpanKind.CLIENT,
+    operation: 'export_batch',
+    attributes: {
+      ...semantic.database({ operation: 'search', index }),
+      'operation.type': 'search',
+      'todos.batch.index': batchIndex
+    }
+  }, async (span) => {
+    const response = await client.search({
+      body: {
+        pit: { id: pit, keep_alive: EXPORT_KEEP_ALIVE },
+        sort: [{ createdAt: { order: 'asc' } }],
+        size: batchSize,
+        ...(after ? { search_after: after } : {})
+      }
+    });
+
+    span.setAttributes({
+      'elasticsearch.took': response.took,
+      'todos.batch.size': response.hits.hits.length
+    });
+    return response;
+  });
+
+  /**
+   * Reads every todo, oldest first, in batches of `batchSize` from a point in time,
+   * so todos written during the export neither show up nor shift the batches. Each
+   * batch is handed to `onBatch` before the next is read; the export stops early when
+   * `onBatch` resolves false.
+   *
+   * @param {(todos: object[]) => Promise<boolean>} onBatch
+   * @param {{ batchSize: number }} options
+   * @returns {Promise<{ exported: number, batches: number }>}
+   */
+  const exportTodos = async (onBatch, { batchSize }) => {
+    let pit = (await client.openPointInTime({ index, keep_alive: EXPORT_KEEP_ALIVE })).id;
+    let exported = 0;
+    let batches = 0;
+    let after;
+
+    try {
+      for (;;) {
+        const response = await exportBatch(pit, after, { batchSize, batchIndex: batches });
+        pit = response.pit_id || pit;
+        batches += 1;
+
+        const hits = response.hits.hits;
+        if (hits.length === 0) break;
+        exported += hits.length;
+
+        const more = await onBatch(hits.map((hit) => ({ id: hit._id, ...hit._source })));
+        if (!more || hits.length < batchSize) break;
+        after = hits[hits.length - 1].sort;
+      }
+    } finally {
+      await client.closePointInTime({ id: pit }).catch(() => undefined);
+    }
+
+    logger.info('Exported todos', { 'todos.export.count': exported, 'todos.export.batches': batches });
+    return { exported, batches };
+  };
+
+  const reconcileActiveTodos = async () => {
+    try {
+      activeTodos = await countActiveTodos();
+    } catch (error) {
+      logger.error('Could not reconcile todos_active', { error });
+    }
+  };
+
+  return {
+    checkAndCreateIndex,
+    getTodos,
+    addTodo,
+    updateTodo,
+    deleteTodo,
+    importTodos,
+    exportTodos,
+    reconcileActiveTodos
+  };
+};
+
+module.exports = { createTodoService };